@@ -6,14 +6,55 @@
  * Central message router + per-tab tool cache for popup and side panel.
  */
 
+import mockToolStore from './js/mocks/MockToolStore.js';
+import { diffToolSets } from './js/utils/toolDiff.js';
+import resultStore from './js/results/ResultStore.js';
+
 const CONFIG = {
   BADGE_COLOR: '#2563eb',
   BADGE_TEXT_COLOR: '#ffffff'
 };
 
-/** @type {Map<number, { tools: any[], url: string, updatedAt: number }>} */
+const TOP_FRAME_ID = 0;
+
+/**
+ * Per-tab cache; each frame that runs the content script reports its own tools.
+ * Mirrored into chrome.storage.session so it outlives the service worker going idle.
+ * `navigationBaseline` holds the tools from before a pending top-level navigation.
+ * @type {Map<number, { frames: Object<string, { frameId: number, parentFrameId: number, url: string, origin: string, tools: any[], api: string|null, capabilities: string[], updatedAt: number }>, url: string, updatedAt: number, navigationBaseline?: any[] }>}
+ */
 const tabToolState = new Map();
 
+const TAB_STATE_KEY_PREFIX = 'webmcp_tab_state_v1:';
+
+const MAX_TOOL_CALLS = 200;
+
+/**
+ * Per-tab feed of tool invocations observed by the page hook, newest last.
+ * @type {Map<number, Array<Object>>}
+ */
+const tabToolCalls = new Map();
+
+/**
+ * In-flight EXECUTE_TOOL requests by side panel execution id, so a cancel reaches the right
+ * frame and a call whose document navigates away can pick up its result in the next one.
+ * @type {Map<string, { tabId: number, frameId: number, name: string, limits: Object, committed: boolean, committedUrl: string, documentLoaded: Promise<boolean>, settleDocument: Function, transferring?: boolean, cancelled?: boolean }>}
+ */
+const pendingExecutions = new Map();
+let executionCounter = 0;
+
+// How long to wait for the next document when the call had no timeout of its own
+const CROSS_DOCUMENT_RESULT_TIMEOUT_MS = 30000;
+
+const MAX_TOOL_CHANGE_ENTRIES = 100;
+
+/**
+ * Per-tab log of tool list updates that changed something, newest last.
+ * The first snapshot of a tab is the baseline and is not logged.
+ * @type {Map<number, Array<{ id: string, ts: string, url: string, changes: Array<Object> }>>}
+ */
+const tabToolChanges = new Map();
+
 if (chrome.sidePanel?.setPanelBehavior) {
   chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true }).catch((error) => {
     console.debug('[Background] Failed to set side panel behavior:', error?.message || error);
@@ -43,23 +84,207 @@ function getErrorMessage(error, fallback = 'Unknown error') {
   return String(error);
 }
 
+function originFromUrl(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return '';
+  }
+}
+
+function sortFrames(frames) {
+  return Object.values(frames).sort((a, b) => a.frameId - b.frameId);
+}
+
+/**
+ * Flatten frame entries into one tool list; each tool records the frame that owns it.
+ */
+function collectFrameTools(frames) {
+  return sortFrames(frames).flatMap((frame) => frame.tools.map((tool) => ({
+    ...tool,
+    frameId: frame.frameId,
+    frameUrl: frame.url,
+    frameOrigin: frame.origin
+  })));
+}
+
+function describeFrames(frames) {
+  return sortFrames(frames).map(({ tools, ...frame }) => ({
+    ...frame,
+    toolCount: tools.length,
+    toolNames: tools.map((tool) => tool.name)
+  }));
+}
+
 function getTabSnapshot(tabId) {
   const state = tabToolState.get(tabId);
   if (!state) {
-    return { tools: [], url: '', updatedAt: 0 };
+    return { tools: [], frames: [], url: '', updatedAt: 0, api: null, capabilities: [] };
+  }
+  const topFrame = state.frames[TOP_FRAME_ID];
+  return {
+    tools: collectFrameTools(state.frames),
+    frames: describeFrames(state.frames),
+    url: state.url,
+    updatedAt: state.updatedAt,
+    api: topFrame?.api ?? null,
+    capabilities: topFrame?.capabilities || []
+  };
+}
+
+/**
+ * Replace part of a tab's state and log what changed in its tools. While a top-level
+ * navigation is pending, frame reports are not logged one by one; the full list taken once
+ * the new document has loaded (`settleNavigation`) is diffed against the tools from before it.
+ */
+function setTabSnapshot(tabId, patch, options = {}) {
+  const existing = tabToolState.get(tabId);
+  const current = existing || { frames: {}, url: '', updatedAt: 0 };
+  const { navigationBaseline, ...next } = { ...current, ...patch, updatedAt: Date.now() };
+  const settling = !!navigationBaseline && !!options.settleNavigation;
+  tabToolState.set(tabId, navigationBaseline && !settling ? { ...next, navigationBaseline } : next);
+
+  if (settling) {
+    recordToolChanges(tabId, navigationBaseline);
+  } else if (existing && patch.frames && !navigationBaseline) {
+    recordToolChanges(tabId, collectFrameTools(existing.frames));
+  }
+  persistTabState(tabId);
+  return getTabSnapshot(tabId);
+}
+
+/**
+ * A top-level navigation replaces every document in the tab: drop the old subframes now, and
+ * keep the tools from before it as the baseline for one change entry when the load settles.
+ */
+function beginTopLevelNavigation(tabId) {
+  const state = tabToolState.get(tabId);
+  if (!state) return;
+
+  const topFrame = state.frames[TOP_FRAME_ID];
+  tabToolState.set(tabId, {
+    ...state,
+    frames: topFrame ? { [TOP_FRAME_ID]: topFrame } : {},
+    // A redirect commits again before the load settles; the first baseline still applies
+    navigationBaseline: state.navigationBaseline ?? collectFrameTools(state.frames)
+  });
+  persistTabState(tabId);
+}
+
+function tabStateKey(tabId) {
+  return `${TAB_STATE_KEY_PREFIX}${tabId}`;
+}
+
+function persistTabState(tabId) {
+  const state = tabToolState.get(tabId);
+  const write = state
+    ? chrome.storage.session.set({ [tabStateKey(tabId)]: state })
+    : chrome.storage.session.remove(tabStateKey(tabId));
+  write.catch((error) => {
+    console.debug('[Background] Failed to persist tab state:', error.message);
+  });
+}
+
+/**
+ * Restore tab snapshots saved before the worker was stopped, dropping tabs that have
+ * since closed, and put their badges back.
+ */
+async function rehydrateTabState() {
+  try {
+    const [stored, tabs] = await Promise.all([chrome.storage.session.get(null), chrome.tabs.query({})]);
+    const openTabIds = new Set(tabs.map((tab) => tab.id));
+    const staleKeys = [];
+
+    for (const [key, state] of Object.entries(stored)) {
+      if (!key.startsWith(TAB_STATE_KEY_PREFIX)) continue;
+      const tabId = Number(key.slice(TAB_STATE_KEY_PREFIX.length));
+      if (!openTabIds.has(tabId)) {
+        staleKeys.push(key);
+        continue;
+      }
+      if (tabToolState.has(tabId)) continue;
+      tabToolState.set(tabId, state);
+      await updateBadge(tabId, collectFrameTools(state.frames).length);
+    }
+
+    if (staleKeys.length > 0) {
+      await chrome.storage.session.remove(staleKeys);
+    }
+  } catch (error) {
+    console.debug('[Background] Failed to restore tab state:', error.message);
   }
-  return state;
 }
 
-function setTabSnapshot(tabId, patch) {
-  const current = getTabSnapshot(tabId);
-  const next = {
-    ...current,
-    ...patch,
-    updatedAt: Date.now()
+/**
+ * Diff the tab's tools against the previous snapshot and log the update if anything changed.
+ */
+function recordToolChanges(tabId, previousTools) {
+  const state = tabToolState.get(tabId);
+  const changes = diffToolSets(previousTools, collectFrameTools(state.frames));
+  if (changes.length === 0) return null;
+
+  const entries = tabToolChanges.get(tabId) || [];
+  const entry = {
+    id: `${state.updatedAt.toString(36)}_${entries.length}`,
+    ts: new Date(state.updatedAt).toISOString(),
+    url: state.url,
+    changes
+  };
+  entries.push(entry);
+  if (entries.length > MAX_TOOL_CHANGE_ENTRIES) entries.splice(0, entries.length - MAX_TOOL_CHANGE_ENTRIES);
+  tabToolChanges.set(tabId, entries);
+  return entry;
+}
+
+function setFrameTools(tabId, frame) {
+  const current = tabToolState.get(tabId) || { frames: {}, url: '', updatedAt: 0 };
+  const previous = current.frames[frame.frameId];
+  const frames = {
+    ...current.frames,
+    [frame.frameId]: {
+      frameId: frame.frameId,
+      parentFrameId: frame.parentFrameId ?? previous?.parentFrameId ?? -1,
+      url: frame.url || previous?.url || '',
+      origin: originFromUrl(frame.url || previous?.url || ''),
+      tools: Array.isArray(frame.tools) ? frame.tools : [],
+      api: frame.api ?? previous?.api ?? null,
+      capabilities: Array.isArray(frame.capabilities) ? frame.capabilities : previous?.capabilities || [],
+      updatedAt: Date.now()
+    }
   };
-  tabToolState.set(tabId, next);
-  return next;
+  const patch = { frames };
+  if (frame.frameId === TOP_FRAME_ID && frame.url) {
+    patch.url = frame.url;
+  }
+  return setTabSnapshot(tabId, patch);
+}
+
+/**
+ * Merge a start/end report into the tab's call feed.
+ */
+function recordToolCall(tabId, frameId, call) {
+  const calls = tabToolCalls.get(tabId) || [];
+  const index = calls.findIndex((entry) => entry.id === call.id && entry.frameId === frameId);
+  const merged = { ...(index === -1 ? {} : calls[index]), ...call, frameId };
+  if (index === -1) {
+    calls.push(merged);
+    if (calls.length > MAX_TOOL_CALLS) calls.splice(0, calls.length - MAX_TOOL_CALLS);
+  } else {
+    calls[index] = merged;
+  }
+  tabToolCalls.set(tabId, calls);
+  return merged;
+}
+
+async function broadcastToolsUpdate(tabId, snapshot) {
+  await updateBadge(tabId, snapshot.tools.length);
+  await chrome.runtime.sendMessage({
+    type: 'TOOLS_UPDATE',
+    tools: snapshot.tools,
+    frames: snapshot.frames,
+    url: snapshot.url,
+    updatedAt: snapshot.updatedAt
+  }).catch(() => {});
 }
 
 async function updateBadge(tabId, toolCount = 0) {
@@ -83,11 +308,14 @@ function isMissingReceiverError(error) {
   return /could not establish connection|receiving end does not exist/i.test(message);
 }
 
-async function ensureContentScript(tabId) {
+async function ensureContentScript(tabId, frameId) {
+  const target = Number.isInteger(frameId) ? { tabId, frameIds: [frameId] } : { tabId, allFrames: true };
   try {
-    await chrome.scripting.executeScript({
-      target: { tabId, allFrames: true },
-      files: ['content.js']
+    await chrome.scripting.executeScript({ target, files: ['serializer.js', 'content.js'] });
+    // Tabs opened before install miss the document_start hook; late injection
+    // still catches tools registered from now on.
+    await chrome.scripting.executeScript({ target, files: ['serializer.js', 'page-hook.js'], world: 'MAIN' }).catch((error) => {
+      console.debug('[Background] Failed to inject page hook:', error.message);
     });
     return true;
   } catch (error) {
@@ -97,21 +325,235 @@ async function ensureContentScript(tabId) {
 }
 
 async function sendMessageToTab(tabId, payload, options = {}) {
-  const { autoInject = true } = options;
+  const { autoInject = true, frameId } = options;
+  const sendOptions = Number.isInteger(frameId) ? { frameId } : undefined;
 
   try {
-    return await chrome.tabs.sendMessage(tabId, payload);
+    return await chrome.tabs.sendMessage(tabId, payload, sendOptions);
   } catch (error) {
     if (!autoInject || !isMissingReceiverError(error)) {
       throw error;
     }
 
-    const injected = await ensureContentScript(tabId);
+    const injected = await ensureContentScript(tabId, frameId);
     if (!injected) {
       throw error;
     }
 
-    return chrome.tabs.sendMessage(tabId, payload);
+    return chrome.tabs.sendMessage(tabId, payload, sendOptions);
+  }
+}
+
+async function listTabFrames(tabId, tabUrl) {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    if (Array.isArray(frames) && frames.length > 0) {
+      return frames.filter((frame) => frame.frameId === TOP_FRAME_ID || isInspectableUrl(frame.url));
+    }
+  } catch (error) {
+    console.debug('[Background] Frame enumeration failed:', error.message);
+  }
+  return [{ frameId: TOP_FRAME_ID, parentFrameId: -1, url: tabUrl || '' }];
+}
+
+/**
+ * Find the frame that owns a tool; falls back to the top frame.
+ */
+function resolveToolFrameId(tabId, toolName, frameId) {
+  if (Number.isInteger(frameId)) return frameId;
+  const owner = getTabSnapshot(tabId).tools.find((tool) => tool.name === toolName);
+  return owner ? owner.frameId : TOP_FRAME_ID;
+}
+
+/**
+ * Send an action to a frame of the active tab: the given frameId, otherwise the
+ * frame that owns the named tool.
+ * @param {Object} message - Sidebar message carrying { name, frameId }
+ * @param {Object} payload - Content script request
+ */
+async function resolveToolTarget(message) {
+  const activeTab = await getActiveTab();
+  if (!activeTab) {
+    return { error: 'No active tab' };
+  }
+
+  if (!isInspectableUrl(activeTab.url)) {
+    return { error: 'Current tab is not inspectable' };
+  }
+
+  return {
+    tabId: activeTab.id,
+    frameId: resolveToolFrameId(activeTab.id, message.name, message.frameId)
+  };
+}
+
+async function sendToToolFrame(message, payload) {
+  const target = await resolveToolTarget(message);
+  if (target.error) return target;
+
+  return sendMessageToTab(target.tabId, payload, {
+    autoInject: true,
+    frameId: target.frameId
+  });
+}
+
+function isClosedPortError(error) {
+  const message = String(error?.message || error || '');
+  return /message (port|channel) closed|back\/forward cache/i.test(message);
+}
+
+/**
+ * Execute a tool in its frame, remembering where it runs until it settles.
+ * A form tool that navigates its frame destroys the content script awaiting it;
+ * the result is then read from the next document via getCrossDocumentScriptToolResult().
+ */
+async function executeToolInFrame(message) {
+  const target = await resolveToolTarget(message);
+  if (target.error) return target;
+
+  const executionId = message.executionId || `background_${++executionCounter}`;
+  const startedAt = Date.now();
+  let settleDocument;
+  const execution = {
+    ...target,
+    name: message.name,
+    limits: message.limits,
+    committed: false,
+    committedUrl: '',
+    documentLoaded: new Promise((resolve) => {
+      settleDocument = resolve;
+    }),
+    settleDocument
+  };
+  pendingExecutions.set(executionId, execution);
+
+  try {
+    let response;
+    try {
+      response = await sendMessageToTab(target.tabId, {
+        action: 'EXECUTE_TOOL',
+        name: message.name,
+        inputArgs: message.inputArgs,
+        executionId: message.executionId,
+        timeoutMs: message.timeoutMs,
+        limits: message.limits
+      }, {
+        autoInject: true,
+        frameId: target.frameId
+      });
+    } catch (error) {
+      if (!execution.committed && !isClosedPortError(error)) throw error;
+      // Only the rest of the call's own timeout, so the side panel's backstop does not fire first.
+      const callTimeoutMs = Number(message.timeoutMs) || 0;
+      const waitMs = callTimeoutMs > 0
+        ? Math.max(0, callTimeoutMs - (Date.now() - startedAt))
+        : CROSS_DOCUMENT_RESULT_TIMEOUT_MS;
+      response = await awaitCrossDocumentResult(execution, waitMs, error, callTimeoutMs);
+    }
+
+    // The entry stays registered while chunks are pulled so Cancel can still stop the transfer.
+    return response?.resultRef ? await storeLargeResult(execution, response) : response;
+  } finally {
+    pendingExecutions.delete(executionId);
+  }
+}
+
+/**
+ * Pull a result the content script held back for size into the result store,
+ * so the side panel can page through it without it crossing the message channel again.
+ */
+async function storeLargeResult(execution, response) {
+  const { id, size, chunkCount } = response.resultRef;
+  execution.transferring = true;
+  try {
+    for (let index = 0; index < chunkCount; index += 1) {
+      if (execution.cancelled) {
+        await resultStore.remove(id).catch(() => {});
+        return { error: 'Tool call cancelled', stopReason: 'cancelled' };
+      }
+      const chunk = await sendMessageToTab(execution.tabId, { action: 'GET_RESULT_CHUNK', resultId: id, index }, {
+        autoInject: false,
+        frameId: execution.frameId
+      });
+      if (chunk?.error) throw new Error(chunk.error);
+      await resultStore.putChunk(id, index, chunk.text);
+    }
+    const resultRef = await resultStore.saveMeta({ id, size, chunkCount, tool: execution.name });
+    return { ...response, resultRef };
+  } catch (error) {
+    await resultStore.remove(id).catch(() => {});
+    return { error: `Result of "${execution.name}" (${size} chars) could not be stored: ${error?.message || error}` };
+  }
+}
+
+/**
+ * @param {number} timeoutMs - How long to wait for the next document
+ * @param {number} callTimeoutMs - The call's own timeout, reported when the wait runs out; 0 if none
+ */
+async function awaitCrossDocumentResult(execution, timeoutMs, originalError, callTimeoutMs = 0) {
+  let timer = null;
+  let timedOut = false;
+  const loaded = await Promise.race([
+    execution.documentLoaded,
+    new Promise((resolve) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        resolve(false);
+      }, timeoutMs);
+    })
+  ]);
+  clearTimeout(timer);
+
+  if (!loaded) {
+    if (!execution.committed) throw originalError;
+    if (timedOut && callTimeoutMs > 0) {
+      return {
+        error: `Tool call timed out after ${callTimeoutMs}ms while the page navigated to ${execution.committedUrl}`,
+        stopReason: 'timeout'
+      };
+    }
+    return {
+      error: `Page navigated while "${execution.name}" was running and no result was collected from the next document`
+    };
+  }
+
+  const response = await sendMessageToTab(execution.tabId, {
+    action: 'GET_CROSS_DOCUMENT_SCRIPT_TOOL_RESULT',
+    limits: execution.limits
+  }, {
+    autoInject: true,
+    frameId: execution.frameId
+  });
+  if (response?.error) {
+    return { error: `Page navigated to ${execution.committedUrl}; cross-document result unavailable: ${response.error}` };
+  }
+  return { ...response, navigatedTo: execution.committedUrl };
+}
+
+function findPendingExecutions(tabId, frameId) {
+  return [...pendingExecutions.values()].filter((entry) => entry.tabId === tabId && entry.frameId === frameId);
+}
+
+/**
+ * Re-register the origin's saved mock tools after the page loads.
+ */
+async function registerStoredMocks(tabId, url) {
+  const origin = originFromUrl(url);
+  if (!origin) return;
+
+  const mocks = (await mockToolStore.list(origin)).filter((mock) => mock.autoRegister);
+  for (const mock of mocks) {
+    try {
+      const response = await sendMessageToTab(tabId, { action: 'REGISTER_MOCK_TOOL', mock }, {
+        autoInject: true,
+        frameId: TOP_FRAME_ID
+      });
+      if (response?.error) {
+        console.debug(`[Background] Mock tool "${mock.name}" not registered:`, response.error);
+      }
+    } catch (error) {
+      console.debug(`[Background] Mock tool "${mock.name}" not registered:`, error.message);
+    }
   }
 }
 
@@ -122,33 +564,50 @@ function normalizeTabMessageError(error) {
   return getErrorMessage(error, 'Unknown tab messaging error');
 }
 
-async function requestToolList(tabId) {
-  try {
-    const response = await sendMessageToTab(tabId, { action: 'LIST_TOOLS' }, { autoInject: true });
-    if (response?.success && Array.isArray(response.tools)) {
-      const tab = await chrome.tabs.get(tabId).catch(() => null);
-      const snapshot = setTabSnapshot(tabId, {
-        tools: response.tools,
-        url: tab?.url || response.url || ''
+async function requestToolList(tabId, options = {}) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  const frameList = await listTabFrames(tabId, tab?.url);
+
+  const responses = await Promise.all(frameList.map(async (frame) => {
+    try {
+      const response = await sendMessageToTab(tabId, { action: 'LIST_TOOLS' }, {
+        autoInject: true,
+        frameId: frame.frameId
       });
-      await updateBadge(tabId, snapshot.tools.length);
-      await chrome.runtime.sendMessage({
-        type: 'TOOLS_UPDATE',
-        tools: snapshot.tools,
-        url: snapshot.url,
-        updatedAt: snapshot.updatedAt
-      }).catch(() => {});
-      return { success: true, ...snapshot };
+      return { frame, response };
+    } catch (error) {
+      return { frame, error };
     }
+  }));
+
+  const top = responses.find((entry) => entry.frame.frameId === TOP_FRAME_ID);
+  const frames = {};
+  for (const { frame, response } of responses) {
+    if (!response?.success || !Array.isArray(response.tools)) continue;
+    frames[frame.frameId] = {
+      frameId: frame.frameId,
+      parentFrameId: frame.parentFrameId,
+      url: response.url || frame.url || '',
+      origin: originFromUrl(response.url || frame.url || ''),
+      tools: response.tools,
+      api: response.api ?? null,
+      capabilities: Array.isArray(response.capabilities) ? response.capabilities : [],
+      updatedAt: Date.now()
+    };
+  }
 
-    if (response?.error) {
-      return { error: response.error, tools: [] };
+  if (Object.keys(frames).length === 0) {
+    if (top?.error) {
+      return { error: normalizeTabMessageError(top.error), tools: [], frames: [] };
+    }
+    if (top?.response?.error) {
+      return { error: top.response.error, tools: [], frames: [] };
     }
-
-    return { success: true, ...getTabSnapshot(tabId) };
-  } catch (error) {
-    return { error: normalizeTabMessageError(error), tools: [] };
   }
+
+  const snapshot = setTabSnapshot(tabId, { frames, url: tab?.url || top?.response?.url || '' }, options);
+  await broadcastToolsUpdate(tabId, snapshot);
+  return { success: true, ...snapshot };
 }
 
 async function refreshActiveTabTools() {
@@ -158,7 +617,7 @@ async function refreshActiveTabTools() {
   }
 
   if (!isInspectableUrl(activeTab.url)) {
-    const snapshot = setTabSnapshot(activeTab.id, { tools: [], url: activeTab.url || '' });
+    const snapshot = setTabSnapshot(activeTab.id, { frames: {}, url: activeTab.url || '' });
     await updateBadge(activeTab.id, 0);
     return {
       error: 'Current tab is not inspectable (chrome://, extension pages, file://, etc.)',
@@ -169,21 +628,53 @@ async function refreshActiveTabTools() {
   return requestToolList(activeTab.id);
 }
 
+// Handlers that read or write tab state wait for the restore so they never act on an empty cache
+const tabStateReady = rehydrateTabState();
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log('[Background] Extension installed/updated');
 });
 
 chrome.commands.onCommand.addListener(async (command) => {
   if (command === 'refresh-tools') {
+    await tabStateReady;
     await refreshActiveTabTools();
   }
 });
 
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.webNavigation.onCommitted.addListener(async ({ tabId, frameId, url }) => {
+  for (const execution of findPendingExecutions(tabId, frameId)) {
+    execution.committed = true;
+    execution.committedUrl = url;
+  }
+
+  if (frameId === TOP_FRAME_ID) {
+    await tabStateReady;
+    beginTopLevelNavigation(tabId);
+  }
+});
+
+chrome.webNavigation.onCompleted.addListener(({ tabId, frameId }) => {
+  for (const execution of findPendingExecutions(tabId, frameId)) {
+    if (execution.committed) execution.settleDocument(true);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  for (const execution of pendingExecutions.values()) {
+    if (execution.tabId === tabId) execution.settleDocument(false);
+  }
+
+  tabToolCalls.delete(tabId);
+  tabToolChanges.delete(tabId);
+
+  await tabStateReady;
   tabToolState.delete(tabId);
+  persistTabState(tabId);
 });
 
 chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  await tabStateReady;
   const tab = await chrome.tabs.get(tabId).catch(() => null);
   if (!tab) return;
 
@@ -197,21 +688,27 @@ chrome.tabs.onActivated.addListener(async ({ tabId }) => {
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status !== 'complete') return;
+  await tabStateReady;
 
   if (!isInspectableUrl(tab.url)) {
     await updateBadge(tabId, 0);
-    setTabSnapshot(tabId, { tools: [], url: tab.url || '' });
+    setTabSnapshot(tabId, { frames: {}, url: tab.url || '' }, { settleNavigation: true });
     return;
   }
 
+  await registerStoredMocks(tabId, tab.url).catch((error) => {
+    console.debug('[Background] Failed to restore mock tools:', error.message);
+  });
+
   setTimeout(() => {
-    requestToolList(tabId).catch(() => {});
+    requestToolList(tabId, { settleNavigation: true }).catch(() => {});
   }, 350);
 });
 
 chrome.runtime.onMessage.addListener((message, sender, reply) => {
   (async () => {
     try {
+      await tabStateReady;
       const { type } = message;
 
       switch (type) {
@@ -222,18 +719,19 @@ chrome.runtime.onMessage.addListener((message, sender, reply) => {
           }
 
           const tabId = sender.tab.id;
-          const snapshot = setTabSnapshot(tabId, {
-            tools: Array.isArray(message.tools) ? message.tools : [],
-            url: message.url || sender.tab.url || ''
+          const frameId = Number.isInteger(sender.frameId) ? sender.frameId : TOP_FRAME_ID;
+          const frameInfo = frameId === TOP_FRAME_ID
+            ? null
+            : await chrome.webNavigation.getFrame({ tabId, frameId }).catch(() => null);
+          const snapshot = setFrameTools(tabId, {
+            frameId,
+            parentFrameId: frameId === TOP_FRAME_ID ? -1 : frameInfo?.parentFrameId,
+            url: message.url || sender.url || '',
+            tools: message.tools,
+            api: message.api,
+            capabilities: message.capabilities
           });
-          await updateBadge(tabId, snapshot.tools.length);
-
-          await chrome.runtime.sendMessage({
-            type: 'TOOLS_UPDATE',
-            tools: snapshot.tools,
-            url: snapshot.url,
-            updatedAt: snapshot.updatedAt
-          }).catch(() => {});
+          await broadcastToolsUpdate(tabId, snapshot);
 
           reply({ received: true });
           return;
@@ -260,6 +758,60 @@ chrome.runtime.onMessage.addListener((message, sender, reply) => {
           return;
         }
 
+        case 'TOOL_CALL': {
+          if (!sender.tab?.id || !message.call?.id) {
+            reply({ received: false });
+            return;
+          }
+
+          const call = recordToolCall(sender.tab.id, sender.frameId ?? TOP_FRAME_ID, message.call);
+          await chrome.runtime.sendMessage({
+            type: 'TOOL_CALL',
+            tabId: sender.tab.id,
+            call
+          }).catch(() => {});
+          reply({ received: true });
+          return;
+        }
+
+        case 'GET_TOOL_CALLS': {
+          const activeTab = await getActiveTab();
+          if (!activeTab) {
+            reply({ error: 'No active tab', calls: [] });
+            return;
+          }
+          reply({ tabId: activeTab.id, calls: tabToolCalls.get(activeTab.id) || [] });
+          return;
+        }
+
+        case 'CLEAR_TOOL_CALLS': {
+          const activeTab = await getActiveTab();
+          if (activeTab) {
+            tabToolCalls.delete(activeTab.id);
+          }
+          reply({ success: true });
+          return;
+        }
+
+        case 'GET_TOOL_CHANGES': {
+          const activeTab = await getActiveTab();
+          if (!activeTab) {
+            reply({ error: 'No active tab', entries: [] });
+            return;
+          }
+          reply({ tabId: activeTab.id, entries: tabToolChanges.get(activeTab.id) || [] });
+          return;
+        }
+
+        case 'CLEAR_TOOL_CHANGES': {
+          const activeTab = await getActiveTab();
+          if (activeTab) {
+            tabToolChanges.delete(activeTab.id);
+          }
+          reply({ success: true });
+          return;
+        }
+
         case 'GET_TOOLS': {
           const activeTab = await getActiveTab();
           if (!activeTab) {
@@ -291,24 +843,82 @@ chrome.runtime.onMessage.addListener((message, sender, reply) => {
         }
 
         case 'EXECUTE_TOOL': {
-          const activeTab = await getActiveTab();
-          if (!activeTab) {
-            reply({ error: 'No active tab' });
+          reply(await executeToolInFrame(message));
+          return;
+        }
+
+        case 'CANCEL_TOOL_EXECUTION': {
+          const target = pendingExecutions.get(message.executionId);
+          if (!target) {
+            reply({ success: true, cancelled: false });
             return;
           }
-
-          if (!isInspectableUrl(activeTab.url)) {
-            reply({ error: 'Current tab is not inspectable' });
+          if (target.transferring) {
+            // The tool finished; stop pulling its stored result.
+            target.cancelled = true;
+            reply({ success: true, cancelled: true });
+            return;
+          }
+          if (target.committed) {
+            // The document that ran the call is gone; stop waiting for the next one.
+            target.settleDocument(false);
+            reply({ success: true, cancelled: true });
             return;
           }
+          reply(await sendMessageToTab(target.tabId, {
+            action: 'CANCEL_TOOL_EXECUTION',
+            executionId: message.executionId
+          }, {
+            autoInject: false,
+            frameId: target.frameId
+          }));
+          return;
+        }
 
-          const result = await sendMessageToTab(activeTab.id, {
-            action: 'EXECUTE_TOOL',
+        case 'FILL_TOOL_FORM': {
+          reply(await sendToToolFrame(message, {
+            action: 'FILL_TOOL_FORM',
             name: message.name,
             inputArgs: message.inputArgs
-          }, { autoInject: true });
+          }));
+          return;
+        }
 
-          reply(result);
+        case 'REGISTER_MOCK_TOOL': {
+          reply(await sendToToolFrame(message, { action: type, mock: message.mock }));
+          return;
+        }
+
+        case 'UNREGISTER_MOCK_TOOL':
+        case 'LIST_MOCK_TOOLS': {
+          reply(await sendToToolFrame(message, { action: type, name: message.name }));
+          return;
+        }
+
+        case 'GET_MODEL_CONTEXT':
+        case 'CLEAR_MODEL_CONTEXT': {
+          reply(await sendToToolFrame(message, { action: type }));
+          return;
+        }
+
+        case 'PROVIDE_MODEL_CONTEXT': {
+          reply(await sendToToolFrame(message, { action: type, bundle: message.bundle }));
+          return;
+        }
+
+        case 'DESCRIBE_TOOL_FORM':
+        case 'CLEAR_HIGHLIGHT': {
+          reply(await sendToToolFrame(message, { action: type, name: message.name }));
+          return;
+        }
+
+        case 'HIGHLIGHT_TOOL_FORM': {
+          reply(await sendToToolFrame(message, {
+            action: 'HIGHLIGHT_TOOL_FORM',
+            name: message.name,
+            fieldName: message.fieldName,
+            durationMs: message.durationMs
+          }));
           return;
         }
 
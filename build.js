@@ -10,7 +10,9 @@ import { join } from 'path';
 const FILES = [
   'manifest.json',
   'background.js',
+  'serializer.js',
   'content.js',
+  'page-hook.js',
   'popup.html',
   'popup.js',
   'sidebar.html',
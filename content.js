@@ -16,71 +16,93 @@ console.debug('[WebMCP Inspector] Content script injected');
 
 let toolsChangedCallback = null;
 
-function toPlainSerializable(value, depth = 0, seen = new WeakSet()) {
-  if (value === null) return null;
+const { serializeResult } = globalThis[Symbol.for('webmcp-inspector.serializer')];
 
-  const valueType = typeof value;
-  if (valueType === 'string' || valueType === 'number' || valueType === 'boolean') {
-    return value;
-  }
-  if (valueType === 'bigint') {
-    return String(value);
-  }
-  if (valueType === 'undefined' || valueType === 'function' || valueType === 'symbol') {
-    return undefined;
-  }
-
-  if (depth > 8) {
-    return '[MaxDepth]';
+function cssEscape(value) {
+  if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
+    return CSS.escape(String(value));
   }
+  return String(value).replace(/["\\]/g, '\\$&');
+}
 
-  if (value instanceof Date) {
-    return value.toISOString();
-  }
+// Registry bridge to page-hook.js (main world), used when only the stable API exists.
+const PAGE_REGISTRY_REQUEST_EVENT = 'webmcp-inspector:registry-request';
+const PAGE_REGISTRY_RESPONSE_EVENT = 'webmcp-inspector:registry-response';
+const PAGE_REGISTRY_CHANGED_EVENT = 'webmcp-inspector:registry-changed';
+const PAGE_REGISTRY_TIMEOUT_MS = 2000;
+
+let registryRequestCounter = 0;
+const pendingRegistryRequests = new Map();
+let registryChangedCallback = null;
+
+function requestPageRegistry(op, payload = {}, timeoutMs = 0) {
+  registryRequestCounter += 1;
+  const id = `${Date.now().toString(36)}-${registryRequestCounter}`;
+
+  return new Promise((resolve, reject) => {
+    const timer = timeoutMs > 0
+      ? setTimeout(() => {
+        pendingRegistryRequests.delete(id);
+        reject(new Error('Page hook did not respond; reload the tab so it can install before the page registers tools'));
+      }, timeoutMs)
+      : null;
+
+    pendingRegistryRequests.set(id, { resolve, reject, timer });
+    document.dispatchEvent(new CustomEvent(PAGE_REGISTRY_REQUEST_EVENT, {
+      detail: JSON.stringify({ id, op, ...payload })
+    }));
+  });
+}
 
-  if (Array.isArray(value)) {
-    const arr = [];
-    for (const item of value) {
-      const normalized = toPlainSerializable(item, depth + 1, seen);
-      if (normalized !== undefined) {
-        arr.push(normalized);
-      }
+function setupPageRegistryBridge() {
+  document.addEventListener(PAGE_REGISTRY_RESPONSE_EVENT, (event) => {
+    let response = null;
+    try {
+      response = JSON.parse(event.detail);
+    } catch {
+      return;
     }
-    return arr;
-  }
 
-  if (valueType === 'object') {
-    if (seen.has(value)) {
-      return '[Circular]';
-    }
-    seen.add(value);
+    const pending = pendingRegistryRequests.get(response?.id);
+    if (!pending) return;
+    pendingRegistryRequests.delete(response.id);
+    clearTimeout(pending.timer);
 
-    const out = {};
-    for (const [key, nested] of Object.entries(value)) {
-      const normalized = toPlainSerializable(nested, depth + 1, seen);
-      if (normalized !== undefined) {
-        out[key] = normalized;
-      }
+    if (response.ok) {
+      pending.resolve(response.result);
+    } else {
+      pending.reject(new Error(response.error || 'Registry request failed'));
     }
+  });
 
-    seen.delete(value);
-    return out;
-  }
-
-  return undefined;
+  document.addEventListener(PAGE_REGISTRY_CHANGED_EVENT, () => {
+    if (typeof registryChangedCallback === 'function') {
+      registryChangedCallback();
+    }
+  });
 }
 
-function cssEscape(value) {
-  if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
-    return CSS.escape(String(value));
+/**
+ * Testing-API shaped adapter over the tools the page registered through the
+ * stable navigator.modelContext surface (which cannot list or execute tools).
+ */
+const stableApiAdapter = {
+  listTools: () => requestPageRegistry('list', {}, PAGE_REGISTRY_TIMEOUT_MS),
+  executeTool: (name, inputArgs, limits) => requestPageRegistry('execute', { name, inputArgs, limits }),
+  registerToolsChangedCallback: (callback) => {
+    registryChangedCallback = callback;
+  },
+  unregisterToolsChangedCallback: () => {
+    registryChangedCallback = null;
   }
-  return String(value).replace(/["\\]/g, '\\$&');
-}
+};
 
 function getWebMCPAPI() {
   // Prefer testing API because it includes discovery + execution methods used by inspector.
   try {
-    return navigator.modelContextTesting || navigator.modelContext || null;
+    if (navigator.modelContextTesting) return navigator.modelContextTesting;
+    if (navigator.modelContext) return stableApiAdapter;
+    return null;
   } catch {
     return null;
   }
@@ -90,7 +112,7 @@ function detectApiFlavor(api) {
   try {
     if (!api) return null;
     if (api === navigator.modelContextTesting) return 'testing';
-    if (api === navigator.modelContext) return 'stable';
+    if (api === stableApiAdapter) return 'stable';
     return 'unknown';
   } catch {
     return null;
@@ -99,6 +121,8 @@ function detectApiFlavor(api) {
 
 function getCapabilities(api) {
   if (!api) return [];
+  // The adapter supplies discovery/execution; registration methods are the page's own.
+  const sources = api === stableApiAdapter ? [api, navigator.modelContext] : [api];
   const names = [
     'listTools',
     'executeTool',
@@ -109,13 +133,13 @@ function getCapabilities(api) {
     'provideContext',
     'clearContext'
   ];
-  return names.filter((name) => {
+  return names.filter((name) => sources.some((source) => {
     try {
-      return typeof api[name] === 'function';
+      return typeof source?.[name] === 'function';
     } catch {
       return false;
     }
-  });
+  }));
 }
 
 function sendStatus(message, type = 'info') {
@@ -188,16 +212,11 @@ function errorToString(error) {
   if (name && message) return `${name}: ${message}`;
   if (message) return message;
 
-  const plain = toPlainSerializable(error);
-  if (plain !== undefined) {
-    try {
-      return JSON.stringify(plain);
-    } catch {
-      // fall through
-    }
+  try {
+    return JSON.stringify(serializeResult(error));
+  } catch {
+    return String(error);
   }
-
-  return String(error);
 }
 
 function shouldRetryExecuteWithStringArgs(error) {
@@ -219,11 +238,350 @@ function shouldRetryExecuteWithStringArgs(error) {
 
 function hasDeclarativeFormWithToolName(toolName) {
   if (!toolName || toolName === '(unnamed_tool)') return false;
+  return Boolean(findToolForm(toolName));
+}
+
+function findToolForm(toolName) {
+  if (!toolName) return null;
   try {
-    return Boolean(document.querySelector(`form[toolname="${cssEscape(toolName)}"]`));
+    return document.querySelector(`form[toolname="${cssEscape(toolName)}"]`);
   } catch {
-    return false;
+    return null;
+  }
+}
+
+const NON_PARAMETER_INPUT_TYPES = new Set(['submit', 'reset', 'button', 'image']);
+
+/**
+ * Group a form's named controls by name (radio/checkbox groups share one entry).
+ * @returns {Map<string, Element[]>}
+ */
+function getFormControlGroups(form) {
+  const groups = new Map();
+  for (const element of Array.from(form.elements)) {
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'fieldset' || tag === 'output' || tag === 'object') continue;
+    if (tag === 'button') continue;
+    if (tag === 'input' && NON_PARAMETER_INPUT_TYPES.has(String(element.type).toLowerCase())) continue;
+
+    const name = element.getAttribute('name');
+    if (!name) continue;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(element);
+  }
+  return groups;
+}
+
+function readOptionalAttribute(element, name) {
+  const value = element.getAttribute(name);
+  return value === null || value === '' ? null : value;
+}
+
+function describeFormField(name, elements) {
+  const first = elements[0];
+  const tag = first.tagName.toLowerCase();
+  const type = tag === 'input' ? String(first.type || 'text').toLowerCase() : tag;
+  const withAttribute = (attribute) => elements.find((element) => element.hasAttribute(attribute)) || null;
+
+  const field = {
+    name,
+    tag,
+    type,
+    required: elements.some((element) => element.required),
+    title: withAttribute('toolparamtitle')?.getAttribute('toolparamtitle') ?? null,
+    description: withAttribute('toolparamdescription')?.getAttribute('toolparamdescription') ?? null,
+    disabled: elements.every((element) => element.disabled),
+    multiple: tag === 'select' ? first.multiple : type === 'checkbox' && elements.length > 1,
+    pattern: first.getAttribute('pattern'),
+    min: readOptionalAttribute(first, 'min'),
+    max: readOptionalAttribute(first, 'max'),
+    step: readOptionalAttribute(first, 'step'),
+    minLength: readOptionalAttribute(first, 'minlength'),
+    maxLength: readOptionalAttribute(first, 'maxlength'),
+    placeholder: first.getAttribute('placeholder')
+  };
+
+  if (tag === 'select') {
+    field.options = Array.from(first.options).map((option) => ({
+      value: option.value,
+      label: option.label || option.textContent.trim(),
+      disabled: option.disabled
+    }));
+  } else if (type === 'radio' || (type === 'checkbox' && elements.length > 1)) {
+    field.options = elements.map((element) => ({
+      value: element.value,
+      label: element.labels?.[0]?.textContent.trim() || element.value,
+      disabled: element.disabled
+    }));
+  }
+
+  return field;
+}
+
+/**
+ * Read a declarative tool's form: attributes plus every named control.
+ */
+function describeToolForm(toolName) {
+  const form = findToolForm(toolName);
+  if (!form) {
+    return { found: false, toolName, fields: [] };
+  }
+
+  const fields = [];
+  for (const [name, elements] of getFormControlGroups(form)) {
+    fields.push(describeFormField(name, elements));
+  }
+
+  return {
+    found: true,
+    toolName,
+    toolDescription: form.getAttribute('tooldescription'),
+    action: form.getAttribute('action') || '',
+    method: (form.getAttribute('method') || 'get').toLowerCase(),
+    target: form.getAttribute('target') || '',
+    autoSubmit: form.hasAttribute('toolautosubmit'),
+    fields
+  };
+}
+
+const HIGHLIGHT_ROOT_ID = '__webmcp_inspector_highlight__';
+let highlightState = null;
+
+function clearHighlight() {
+  if (!highlightState) return;
+  window.removeEventListener('scroll', highlightState.reposition, true);
+  window.removeEventListener('resize', highlightState.reposition);
+  clearTimeout(highlightState.timer);
+  highlightState.root.remove();
+  highlightState = null;
+}
+
+const HIGHLIGHT_TONES = {
+  info: { border: '#2563eb', fill: 'rgba(37,99,235,0.12)' },
+  success: { border: '#16a34a', fill: 'rgba(22,163,74,0.12)' },
+  error: { border: '#dc2626', fill: 'rgba(220,38,38,0.14)' }
+};
+
+/**
+ * Draw a fixed overlay box over each target; the overlay follows scrolling.
+ * @param {Array<{element: Element, label?: string, tone?: string}>} targets
+ * @param {number} durationMs - Auto-clear delay; 0 keeps the overlay until cleared
+ */
+function highlightElements(targets, durationMs = 0) {
+  clearHighlight();
+  const entries = targets.filter((target) => target?.element);
+  if (entries.length === 0) return false;
+
+  const root = document.createElement('div');
+  root.id = HIGHLIGHT_ROOT_ID;
+  root.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:2147483647;';
+
+  const overlays = entries.map(({ label, tone }) => {
+    const colors = HIGHLIGHT_TONES[tone] || HIGHLIGHT_TONES.info;
+    const box = document.createElement('div');
+    box.style.cssText = [
+      'position:fixed',
+      'box-sizing:border-box',
+      `border:2px solid ${colors.border}`,
+      `background:${colors.fill}`,
+      'border-radius:4px',
+      'transition:all 80ms ease-out'
+    ].join(';');
+    root.appendChild(box);
+
+    let tag = null;
+    if (label) {
+      tag = document.createElement('div');
+      tag.textContent = label;
+      tag.style.cssText = [
+        'position:fixed',
+        'padding:2px 6px',
+        'font:600 11px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif',
+        'color:#fff',
+        `background:${colors.border}`,
+        'border-radius:3px',
+        'white-space:nowrap'
+      ].join(';');
+      root.appendChild(tag);
+    }
+    return { box, tag };
+  });
+
+  const reposition = () => {
+    entries.forEach(({ element }, index) => {
+      const rect = element.getBoundingClientRect();
+      const { box, tag } = overlays[index];
+      Object.assign(box.style, {
+        top: `${rect.top - 2}px`,
+        left: `${rect.left - 2}px`,
+        width: `${rect.width + 4}px`,
+        height: `${rect.height + 4}px`
+      });
+      if (tag) {
+        tag.style.top = `${Math.max(0, rect.top - 22)}px`;
+        tag.style.left = `${Math.max(0, rect.left - 2)}px`;
+      }
+    });
+  };
+
+  (document.body || document.documentElement).appendChild(root);
+  highlightState = { root, reposition, timer: null };
+  reposition();
+  window.addEventListener('scroll', reposition, true);
+  window.addEventListener('resize', reposition);
+
+  entries[0].element.scrollIntoView({ block: 'center', inline: 'nearest', behavior: 'smooth' });
+
+  if (durationMs > 0) {
+    highlightState.timer = setTimeout(clearHighlight, durationMs);
+  }
+  return true;
+}
+
+function highlightToolForm(toolName, fieldName, durationMs) {
+  const form = findToolForm(toolName);
+  if (!form) {
+    throw new Error(`No form[toolname="${toolName}"] in this frame`);
+  }
+
+  if (!fieldName) {
+    return highlightElements([{ element: form, label: toolName }], durationMs);
+  }
+
+  const elements = getFormControlGroups(form).get(fieldName);
+  if (!elements) {
+    throw new Error(`Form "${toolName}" has no control named "${fieldName}"`);
+  }
+  return highlightElements(
+    elements.map((element, index) => ({ element, label: index === 0 ? `${toolName} › ${fieldName}` : '' })),
+    durationMs
+  );
+}
+
+function dispatchFormEvents(element) {
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Write one argument value into a named control group.
+ * @returns {string|null} Reason the value could not be applied, or null on success
+ */
+function applyFormValue(elements, value) {
+  const first = elements[0];
+  const tag = first.tagName.toLowerCase();
+  const type = tag === 'input' ? String(first.type || 'text').toLowerCase() : tag;
+
+  if (type === 'file') {
+    return 'File inputs cannot be filled programmatically';
+  }
+
+  if (type === 'radio') {
+    const match = elements.find((element) => element.value === String(value));
+    if (!match) return `No radio option with value "${value}"`;
+    match.checked = true;
+    dispatchFormEvents(match);
+    return null;
+  }
+
+  if (type === 'checkbox') {
+    if (elements.length === 1 && !Array.isArray(value)) {
+      first.checked = value === true || value === first.value || value === 'on';
+      dispatchFormEvents(first);
+      return null;
+    }
+    const selected = (Array.isArray(value) ? value : [value]).map(String);
+    for (const element of elements) {
+      element.checked = selected.includes(element.value);
+      dispatchFormEvents(element);
+    }
+    return null;
+  }
+
+  if (tag === 'select') {
+    const selected = (Array.isArray(value) ? value : [value]).map(String);
+    if (!first.multiple && selected.length > 1) {
+      return 'Single-select control received multiple values';
+    }
+    const options = Array.from(first.options);
+    const missing = selected.filter((entry) => !options.some((option) => option.value === entry));
+    if (missing.length > 0) {
+      return `No option with value ${missing.map((entry) => `"${entry}"`).join(', ')}`;
+    }
+    for (const option of options) {
+      option.selected = selected.includes(option.value);
+    }
+    dispatchFormEvents(first);
+    return null;
+  }
+
+  first.value = value === null || value === undefined
+    ? ''
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  dispatchFormEvents(first);
+  return null;
+}
+
+/**
+ * Populate a declarative tool's form from input args without submitting it,
+ * then report the browser's constraint validation state for each control.
+ */
+function fillToolForm(toolName, inputArgs) {
+  const form = findToolForm(toolName);
+  if (!form) {
+    throw new Error(`No form[toolname="${toolName}"] in this frame`);
+  }
+
+  let args = inputArgs;
+  if (typeof args === 'string') {
+    args = args.trim() ? JSON.parse(args) : {};
+  }
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new Error('Input arguments must be a JSON object');
   }
+
+  const controls = getFormControlGroups(form);
+  const filled = [];
+  const skipped = [];
+  const unknownArgs = [];
+
+  for (const [name, value] of Object.entries(args)) {
+    const elements = controls.get(name);
+    if (!elements) {
+      unknownArgs.push(name);
+      continue;
+    }
+    const reason = applyFormValue(elements, value);
+    if (reason) {
+      skipped.push({ name, reason });
+    } else {
+      filled.push(name);
+    }
+  }
+
+  const invalid = [];
+  const targets = [];
+  for (const [name, elements] of controls) {
+    const invalidElement = elements.find((element) => typeof element.checkValidity === 'function' && !element.checkValidity());
+    if (invalidElement) {
+      invalid.push({ name, message: invalidElement.validationMessage || 'Invalid value' });
+      targets.push({ element: invalidElement, label: `${name}: ${invalidElement.validationMessage || 'Invalid value'}`, tone: 'error' });
+    } else if (filled.includes(name)) {
+      targets.push(...elements.map((element) => ({ element, tone: 'success' })));
+    }
+  }
+
+  highlightElements(targets);
+  // The overlay is only a preview; drop it once the user submits for real.
+  form.addEventListener('submit', clearHighlight, { once: true });
+
+  return {
+    filled,
+    skipped,
+    unknownArgs,
+    invalid,
+    formValid: invalid.length === 0
+  };
 }
 
 function hasDeclarativeMetadata(tool) {
@@ -253,13 +611,19 @@ function normalizeTools(rawTools) {
     .filter((tool) => tool && typeof tool === 'object')
     .map((tool) => {
       const toolName = tool.name || '(unnamed_tool)';
-      const looksDeclarative = hasDeclarativeMetadata(tool) || hasDeclarativeFormWithToolName(toolName);
+      const hasForm = hasDeclarativeFormWithToolName(toolName);
+      const looksDeclarative = hasDeclarativeMetadata(tool) || hasForm;
       const normalized = {
         name: toolName,
         description: tool.description || '',
         inputSchema: parseToolInputSchema(tool.inputSchema)
       };
 
+      if (hasForm) {
+        // The side panel compares this with inputSchema using the shared schema resolver
+        normalized.form = describeToolForm(toolName);
+      }
+
       if (looksDeclarative) {
         normalized.type = 'declarative';
         normalized.kind = 'form';
@@ -271,7 +635,7 @@ function normalizeTools(rawTools) {
       }
 
       if (tool.annotations && typeof tool.annotations === 'object') {
-        normalized.annotations = toPlainSerializable(tool.annotations) || {};
+        normalized.annotations = serializeResult(tool.annotations);
       }
 
       return normalized;
@@ -279,7 +643,13 @@ function normalizeTools(rawTools) {
 }
 
 function toPlainSchemaObject(value) {
-  const normalized = toPlainSerializable(value);
+  // inputSchema is JSON by definition; keep only what JSON carries
+  let normalized = null;
+  try {
+    normalized = JSON.parse(JSON.stringify(value));
+  } catch {
+    // circular or otherwise not JSON
+  }
   if (normalized && typeof normalized === 'object' && !Array.isArray(normalized)) {
     return normalized;
   }
@@ -305,7 +675,7 @@ function parseToolInputSchema(schema) {
   return { type: 'object', properties: {} };
 }
 
-function listTools() {
+async function listTools() {
   try {
     const api = getWebMCPAPI();
     if (!api) {
@@ -329,7 +699,7 @@ function listTools() {
       };
     }
 
-    const tools = normalizeTools(api.listTools());
+    const tools = normalizeTools(await api.listTools());
     const payload = {
       success: true,
       tools,
@@ -341,6 +711,8 @@ function listTools() {
     sendRuntimeMessage({
       type: 'TOOLS_LIST',
       tools,
+      api: payload.api,
+      capabilities: payload.capabilities,
       url: location.href
     });
 
@@ -382,7 +754,51 @@ function setupToolsChangedListener() {
   }
 }
 
-async function executeTool(name, inputArgs) {
+// Events shared with page-hook.js, which runs in the page's main world.
+const PAGE_CALL_EVENT = 'webmcp-inspector:call';
+const PAGE_EXPECT_CALL_EVENT = 'webmcp-inspector:expect-call';
+
+/**
+ * Tell the main-world hook that the next invocation of this tool is ours.
+ */
+function announceInspectorCall(toolName) {
+  document.dispatchEvent(new CustomEvent(PAGE_EXPECT_CALL_EVENT, {
+    detail: JSON.stringify({ tool: toolName, caller: 'inspector' })
+  }));
+}
+
+// Largest output a Calls feed entry carries; the background keeps up to 200 entries per tab
+const CALL_OUTPUT_MAX_CHARS = 32 * 1024;
+
+/**
+ * Replace an output too large for the feed with its size; the full result is only
+ * transferred when the inspector runs the tool, in chunks.
+ */
+function capCallOutput(call) {
+  if (call.output === undefined) return call;
+  const size = JSON.stringify(call.output).length;
+  return size > CALL_OUTPUT_MAX_CHARS ? { ...call, output: { truncated: true, size } } : call;
+}
+
+function setupPageCallRelay() {
+  document.addEventListener(PAGE_CALL_EVENT, (event) => {
+    let payload = null;
+    try {
+      payload = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+    if (!payload?.call?.id) return;
+
+    sendRuntimeMessage({
+      type: 'TOOL_CALL',
+      phase: payload.phase,
+      call: capCallOutput(payload.call)
+    });
+  });
+}
+
+async function executeTool(name, inputArgs, limits) {
   const api = getWebMCPAPI();
   if (!api) {
     throw new Error('WebMCP API not available');
@@ -395,12 +811,7 @@ async function executeTool(name, inputArgs) {
   const safeName = String(name || '');
   console.debug(`[WebMCP Inspector] Executing tool "${safeName}"`, inputArgs);
 
-  let formElement = null;
-  try {
-    formElement = document.querySelector(`form[toolname="${cssEscape(safeName)}"]`);
-  } catch {
-    formElement = null;
-  }
+  const formElement = findToolForm(safeName);
   const formTarget = formElement?.target;
 
   let loadPromise = null;
@@ -423,11 +834,17 @@ async function executeTool(name, inputArgs) {
     }
   }
 
+  announceInspectorCall(safeName);
+
   let result;
   try {
-    result = await api.executeTool(safeName, inputArgs);
+    result = api === stableApiAdapter
+      ? await api.executeTool(safeName, inputArgs, limits)
+      : await api.executeTool(safeName, inputArgs);
   } catch (error) {
-    if (typeof inputArgs === 'string') {
+    // The stable adapter runs the page's own callback: its errors are the tool's, and
+    // retrying would run a tool with side effects again.
+    if (typeof inputArgs === 'string' || api === stableApiAdapter) {
       throw error;
     }
 
@@ -483,6 +900,92 @@ async function executeTool(name, inputArgs) {
   return result;
 }
 
+/**
+ * Executions the inspector is waiting on, keyed by the id the side panel assigned.
+ */
+const pendingExecutions = new Map();
+
+function createStoppedError(stopReason, message) {
+  const error = new Error(message);
+  error.stopReason = stopReason;
+  return error;
+}
+
+/**
+ * Race a tool call against its timeout and a cancel request. The API cannot abort
+ * the page's own tool code; only the inspector stops waiting for it.
+ */
+function trackExecution(executionId, timeoutMs, promise) {
+  let timer = null;
+  const stopped = new Promise((_, reject) => {
+    if (executionId) {
+      pendingExecutions.set(executionId, { reject });
+    }
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        reject(createStoppedError('timeout', `Tool call timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    }
+  });
+
+  return Promise.race([promise, stopped]).finally(() => {
+    clearTimeout(timer);
+    if (executionId) pendingExecutions.delete(executionId);
+  });
+}
+
+function cancelExecution(executionId) {
+  const pending = pendingExecutions.get(executionId);
+  if (!pending) return false;
+  pending.reject(createStoppedError('cancelled', 'Tool call cancelled'));
+  return true;
+}
+
+// Results whose JSON exceeds this are held here and pulled by the background in chunks
+const LARGE_RESULT_THRESHOLD_CHARS = 256 * 1024;
+const RESULT_CHUNK_CHARS = 256 * 1024;
+const LARGE_RESULT_TTL_MS = 60000;
+const largeResults = new Map();
+
+/**
+ * Reply payload for a serialized result: inline when small, otherwise a reference
+ * the background resolves with GET_RESULT_CHUNK before answering the side panel.
+ */
+function packResult(serialized) {
+  const text = JSON.stringify(serialized ?? null);
+  if (text.length <= LARGE_RESULT_THRESHOLD_CHARS) {
+    return { result: serialized };
+  }
+
+  const id = `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  const timer = setTimeout(() => largeResults.delete(id), LARGE_RESULT_TTL_MS);
+  largeResults.set(id, { text, timer });
+  return {
+    resultRef: {
+      id,
+      size: text.length,
+      chunkSize: RESULT_CHUNK_CHARS,
+      chunkCount: Math.ceil(text.length / RESULT_CHUNK_CHARS)
+    }
+  };
+}
+
+function readResultChunk(id, index) {
+  const entry = largeResults.get(id);
+  if (!entry) {
+    throw new Error(`Result ${id} is no longer held by the page`);
+  }
+
+  const start = index * RESULT_CHUNK_CHARS;
+  const text = entry.text.slice(start, start + RESULT_CHUNK_CHARS);
+  const last = start + RESULT_CHUNK_CHARS >= entry.text.length;
+  if (last) {
+    clearTimeout(entry.timer);
+    largeResults.delete(id);
+  }
+  return { text, last };
+}
+
 async function getCrossDocumentScriptToolResult() {
   const api = getWebMCPAPI();
   if (!api || typeof api.getCrossDocumentScriptToolResult !== 'function') {
@@ -498,21 +1001,95 @@ function handleRuntimeMessage(request, sender, reply) {
 
       switch (action) {
         case 'LIST_TOOLS': {
-          const result = listTools();
+          const result = await listTools();
           setupToolsChangedListener();
-          safeReply(reply, toPlainSerializable(result));
+          safeReply(reply, result);
           return;
         }
 
         case 'EXECUTE_TOOL': {
-          const result = await executeTool(name, inputArgs);
-          safeReply(reply, { success: true, result: toPlainSerializable(result) });
+          const result = await trackExecution(
+            request.executionId,
+            Number(request.timeoutMs) || 0,
+            executeTool(name, inputArgs, request.limits)
+          );
+          // The page hook already serialized results of stable-API tools in the main world.
+          const serialized = getWebMCPAPI() === stableApiAdapter ? result : serializeResult(result, request.limits);
+          safeReply(reply, { success: true, ...packResult(serialized) });
+          return;
+        }
+
+        case 'GET_RESULT_CHUNK': {
+          safeReply(reply, { success: true, ...readResultChunk(request.resultId, Number(request.index) || 0) });
+          return;
+        }
+
+        case 'CANCEL_TOOL_EXECUTION': {
+          safeReply(reply, { success: true, cancelled: cancelExecution(request.executionId) });
           return;
         }
 
         case 'GET_CROSS_DOCUMENT_SCRIPT_TOOL_RESULT': {
           const result = await getCrossDocumentScriptToolResult();
-          safeReply(reply, { success: true, result: toPlainSerializable(result) });
+          safeReply(reply, { success: true, ...packResult(serializeResult(result, request.limits)) });
+          return;
+        }
+
+        case 'DESCRIBE_TOOL_FORM': {
+          safeReply(reply, { success: true, form: describeToolForm(name) });
+          return;
+        }
+
+        case 'HIGHLIGHT_TOOL_FORM': {
+          const highlighted = highlightToolForm(name, request.fieldName, Number(request.durationMs) || 0);
+          safeReply(reply, { success: true, highlighted });
+          return;
+        }
+
+        case 'FILL_TOOL_FORM': {
+          safeReply(reply, { success: true, result: fillToolForm(name, inputArgs) });
+          return;
+        }
+
+        case 'REGISTER_MOCK_TOOL': {
+          const result = await requestPageRegistry('register-mock', { mock: request.mock }, PAGE_REGISTRY_TIMEOUT_MS);
+          safeReply(reply, { success: true, result });
+          return;
+        }
+
+        case 'UNREGISTER_MOCK_TOOL': {
+          const result = await requestPageRegistry('unregister-mock', { name }, PAGE_REGISTRY_TIMEOUT_MS);
+          safeReply(reply, { success: true, result });
+          return;
+        }
+
+        case 'LIST_MOCK_TOOLS': {
+          const result = await requestPageRegistry('list-mocks', {}, PAGE_REGISTRY_TIMEOUT_MS);
+          safeReply(reply, { success: true, result });
+          return;
+        }
+
+        case 'GET_MODEL_CONTEXT': {
+          const result = await requestPageRegistry('get-context', {}, PAGE_REGISTRY_TIMEOUT_MS);
+          safeReply(reply, { success: true, result });
+          return;
+        }
+
+        case 'PROVIDE_MODEL_CONTEXT': {
+          const result = await requestPageRegistry('provide-context', { bundle: request.bundle }, PAGE_REGISTRY_TIMEOUT_MS);
+          safeReply(reply, { success: true, result });
+          return;
+        }
+
+        case 'CLEAR_MODEL_CONTEXT': {
+          const result = await requestPageRegistry('clear-context', {}, PAGE_REGISTRY_TIMEOUT_MS);
+          safeReply(reply, { success: true, result });
+          return;
+        }
+
+        case 'CLEAR_HIGHLIGHT': {
+          clearHighlight();
+          safeReply(reply, { success: true });
           return;
         }
 
@@ -532,12 +1109,18 @@ function handleRuntimeMessage(request, sender, reply) {
     } catch (error) {
       if (isExtensionContextInvalidatedError(error)) {
         // Noisy during extension reloads; ignore.
+      } else if (error?.stopReason) {
+        console.debug(`[WebMCP Inspector] Tool call ${error.stopReason}`);
       } else if (isDomExceptionError(error)) {
         console.debug('[WebMCP Inspector] Message handler DOMException:', error);
       } else {
         console.error('[WebMCP Inspector] Message handler error:', error);
       }
-      safeReply(reply, { success: false, error: errorToString(error) });
+      safeReply(reply, {
+        success: false,
+        error: errorToString(error),
+        ...(error?.stopReason ? { stopReason: error.stopReason } : {})
+      });
     }
   })();
 
@@ -579,6 +1162,8 @@ window.addEventListener('toolcancel', (event) => {
 
 // Initial warm-up
 setupRuntimeListener();
+setupPageCallRelay();
+setupPageRegistryBridge();
 listTools();
 setupToolsChangedListener();
 })();
@@ -171,9 +171,13 @@ class AIManager {
   /**
    * Stream a message using current provider
    */
-  async streamMessage(messages, tools = [], onChunk) {
+  async streamMessage(messages, tools = [], onChunk, options = {}) {
     if (!this.currentProvider) {
-      return { error: 'No AI provider configured' };
+      return { error: 'No AI provider configured. Please configure in Settings.' };
+    }
+
+    if (!this.currentProvider.isConfigured()) {
+      return { error: 'Provider not properly configured. Please check Settings.' };
     }
 
     // Add system prompt if not present
@@ -184,7 +188,14 @@ class AIManager {
       }
     }
 
-    return this.currentProvider.streamMessage(messages, tools, onChunk);
+    return this.currentProvider.streamMessage(messages, tools, onChunk, options);
+  }
+
+  /**
+   * Schema keywords the current provider drops from the given tools
+   */
+  describeToolSchemaLoss(tools = []) {
+    return this.currentProvider ? this.currentProvider.describeToolSchemaLoss(tools) : [];
   }
 
   /**
@@ -3,6 +3,26 @@
  * Abstract base class for all AI providers
  */
 
+/**
+ * Provider-neutral conversation model. Adapters translate these messages
+ * into their own wire format in formatMessages().
+ *
+ * @typedef {Object} ToolCall
+ * @property {string} id - Call id used to pair results with calls
+ * @property {string} name - Tool name
+ * @property {Object} args - Parsed tool arguments ({} when argsError is set)
+ * @property {string} [argsError] - Why the arguments the model sent could not be used
+ *
+ * @typedef {Object} ConversationMessage
+ * @property {'system'|'user'|'assistant'|'tool'} role
+ * @property {string} [content] - Text content (system/user/assistant)
+ * @property {ToolCall[]} [toolCalls] - Tool calls requested by the assistant
+ * @property {string} [toolCallId] - Id of the call a tool message answers
+ * @property {string} [name] - Tool name (tool messages)
+ * @property {*} [result] - Tool output, or the error message when isError is set
+ * @property {boolean} [isError] - Whether the tool call failed
+ */
+
 class AIProvider {
   constructor(config) {
     this.config = config;
@@ -20,9 +40,9 @@ class AIProvider {
 
   /**
    * Send a message to the AI
-   * @param {Array} messages - Array of message objects
+   * @param {ConversationMessage[]} messages - Conversation so far
    * @param {Object} tools - Available tools for function calling
-   * @returns {Promise<{text?: string, functionCalls?: Array, error?: string}>}
+   * @returns {Promise<{text?: string, functionCalls?: ToolCall[], error?: string}>}
    */
   async sendMessage(messages, tools = []) {
     throw new Error('sendMessage must be implemented by subclass');
@@ -30,12 +50,13 @@ class AIProvider {
 
   /**
    * Stream a message from the AI
-   * @param {Array} messages - Array of message objects
+   * @param {ConversationMessage[]} messages - Conversation so far
    * @param {Object} tools - Available tools
    * @param {Function} onChunk - Callback for each chunk
-   * @returns {Promise<{text?: string, functionCalls?: Array}>}
+   * @param {Object} [options] - { signal: AbortSignal that cancels the request }
+   * @returns {Promise<{text?: string, functionCalls?: ToolCall[], error?: string}>}
    */
-  async streamMessage(messages, tools = [], onChunk) {
+  async streamMessage(messages, tools = [], onChunk, options = {}) {
     throw new Error('streamMessage must be implemented by subclass');
   }
 
@@ -66,6 +87,15 @@ class AIProvider {
     }));
   }
 
+  /**
+   * Report schema keywords this provider drops when declaring tools
+   * @param {Array} tools - WebMCP tools
+   * @returns {Array<{tool: string, dropped: Array<{path: string, keyword: string, reason: string}>}>}
+   */
+  describeToolSchemaLoss(tools) {
+    return [];
+  }
+
   /**
    * Parse the response from this provider
    * @param {Object} response - Raw API response
@@ -78,6 +108,132 @@ class AIProvider {
     };
   }
 
+  /**
+   * Parse tool call arguments the model sent as JSON text or as an object.
+   * Malformed or non-object arguments are reported, not replaced, so the caller
+   * can tell the model instead of running the tool with empty input.
+   * @param {*} raw - Arguments as the provider returned them
+   * @returns {{args: Object, argsError: string|null}}
+   */
+  static parseToolArguments(raw) {
+    if (raw === undefined || raw === null || raw === '') {
+      return { args: {}, argsError: null };
+    }
+
+    let value = raw;
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        return { args: {}, argsError: `Arguments are not valid JSON (${error.message})` };
+      }
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      const kind = Array.isArray(value) ? 'an array' : value === null ? 'null' : `a ${typeof value}`;
+      return { args: {}, argsError: `Arguments must be a JSON object, got ${kind}` };
+    }
+    return { args: value, argsError: null };
+  }
+
+  /**
+   * Build an assistant message carrying text and optional tool calls
+   * @param {string} content - Assistant text
+   * @param {ToolCall[]} toolCalls - Tool calls requested in this turn
+   * @returns {ConversationMessage}
+   */
+  static assistantMessage(content, toolCalls = []) {
+    const message = { role: 'assistant', content: String(content || '') };
+    if (Array.isArray(toolCalls) && toolCalls.length > 0) {
+      message.toolCalls = toolCalls.map((call) => ({
+        id: call.id,
+        name: call.name,
+        args: call.args || {}
+      }));
+    }
+    return message;
+  }
+
+  /**
+   * Build a tool result message answering a tool call
+   * @param {ToolCall} call - The call being answered
+   * @param {*} result - Tool output, or an error message
+   * @param {boolean} isError - Whether the call failed
+   * @returns {ConversationMessage}
+   */
+  static toolResultMessage(call, result, isError = false) {
+    return {
+      role: 'tool',
+      toolCallId: call.id,
+      name: call.name,
+      result,
+      isError: !!isError
+    };
+  }
+
+  /**
+   * Generate a call id for providers that do not return one
+   * @returns {string}
+   */
+  createToolCallId() {
+    return `call_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Ensure every parsed function call has an id
+   * @param {Array} functionCalls - Parsed function calls
+   * @returns {ToolCall[]}
+   */
+  withToolCallIds(functionCalls) {
+    return functionCalls.map((call) => ({
+      ...call,
+      id: call.id || this.createToolCallId()
+    }));
+  }
+
+  /**
+   * Serialize a tool message result for text-based wire formats
+   * @param {ConversationMessage} message - Tool message
+   * @returns {string}
+   */
+  formatToolResultContent(message) {
+    if (message.isError) {
+      return JSON.stringify({ error: String(message.result ?? 'Unknown error') });
+    }
+    if (typeof message.result === 'string') {
+      return message.result;
+    }
+    return JSON.stringify(message.result ?? null);
+  }
+
+  /**
+   * Rewrite tool calls and results as plain text turns. Used when a request
+   * carries no tool declarations, which some APIs require for tool blocks.
+   * @param {ConversationMessage[]} messages
+   * @returns {ConversationMessage[]}
+   */
+  flattenToolMessages(messages) {
+    return messages.map((message) => {
+      if (message.role === 'tool') {
+        return {
+          role: 'user',
+          content: `Tool result for ${message.name}: ${this.formatToolResultContent(message)}`
+        };
+      }
+
+      if (message.role === 'assistant' && Array.isArray(message.toolCalls) && message.toolCalls.length > 0) {
+        const callLines = message.toolCalls.map(
+          (call) => `Called tool ${call.name} with ${JSON.stringify(call.args || {})}`
+        );
+        return {
+          role: 'assistant',
+          content: [message.content, ...callLines].filter(Boolean).join('\n')
+        };
+      }
+
+      return message;
+    });
+  }
+
   /**
    * Check if provider is properly configured
    * @returns {boolean}
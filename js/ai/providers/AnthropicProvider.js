@@ -3,7 +3,8 @@
  */
 
 import AIProvider from '../AIProvider.js';
-import { parseToolInputSchema } from '../utils/toolSchemas.js';
+import { toAnthropicSchema } from '../utils/toolSchemas.js';
+import { readServerSentEvents } from '../utils/streaming.js';
 
 class AnthropicProvider extends AIProvider {
   constructor(config) {
@@ -86,47 +87,102 @@ class AnthropicProvider extends AIProvider {
     return tools.map((tool) => ({
       name: String(tool?.name || ''),
       description: String(tool?.description || ''),
-      input_schema: parseToolInputSchema(tool?.inputSchema)
+      input_schema: toAnthropicSchema(tool?.inputSchema).schema
     }));
   }
 
+  describeToolSchemaLoss(tools) {
+    return tools
+      .map((tool) => ({
+        tool: String(tool?.name || ''),
+        dropped: toAnthropicSchema(tool?.inputSchema).dropped
+      }))
+      .filter((entry) => entry.dropped.length > 0);
+  }
+
+  toContentBlocks(message) {
+    if (message.role === 'tool') {
+      return [{
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: this.formatToolResultContent(message),
+        is_error: !!message.isError
+      }];
+    }
+
+    const blocks = [];
+    if (message.content) {
+      blocks.push({ type: 'text', text: message.content });
+    }
+    if (message.role === 'assistant' && Array.isArray(message.toolCalls)) {
+      for (const call of message.toolCalls) {
+        blocks.push({
+          type: 'tool_use',
+          id: call.id,
+          name: call.name,
+          input: call.args || {}
+        });
+      }
+    }
+    return blocks;
+  }
+
   formatMessages(messages) {
     // Extract system message
     const systemMsg = messages.find(m => m.role === 'system');
-    const chatMessages = messages.filter(m => m.role !== 'system');
-    
+    const chatMessages = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') continue;
+
+      // Tool results travel inside user turns; adjacent same-role turns are merged.
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const blocks = this.toContentBlocks(message);
+      if (blocks.length === 0) continue;
+
+      const previous = chatMessages[chatMessages.length - 1];
+      if (previous?.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        chatMessages.push({ role, content: blocks });
+      }
+    }
+
     return {
       system: systemMsg?.content,
-      messages: chatMessages.map(m => ({
-        role: m.role,
-        content: m.content
-      }))
+      messages: chatMessages
     };
   }
 
-  async sendMessage(messages, tools = []) {
-    try {
-      const { system, messages: chatMessages } = this.formatMessages(messages);
+  buildRequestBody(messages, tools = []) {
+    // Anthropic rejects tool_use/tool_result blocks when no tools are declared.
+    const conversation = tools.length > 0 ? messages : this.flattenToolMessages(messages);
+    const { system, messages: chatMessages } = this.formatMessages(conversation);
 
-      const body = {
-        model: this.config.model,
-        messages: chatMessages,
-        max_tokens: this.config.maxTokens,
-        temperature: this.config.temperature
-      };
+    const body = {
+      model: this.config.model,
+      messages: chatMessages,
+      max_tokens: this.config.maxTokens,
+      temperature: this.config.temperature
+    };
 
-      if (system) {
-        body.system = system;
-      }
+    if (system) {
+      body.system = system;
+    }
 
-      if (tools.length > 0) {
-        body.tools = this.formatTools(tools);
-      }
+    if (tools.length > 0) {
+      body.tools = this.formatTools(tools);
+    }
 
+    return body;
+  }
+
+  async sendMessage(messages, tools = []) {
+    try {
       const response = await fetch(`${this.baseUrl}/messages`, {
         method: 'POST',
         headers: this.getHeaders(true),
-        body: JSON.stringify(body)
+        body: JSON.stringify(this.buildRequestBody(messages, tools))
       });
 
       if (!response.ok) {
@@ -149,9 +205,12 @@ class AnthropicProvider extends AIProvider {
         if (block.type === 'text') {
           result.text += block.text;
         } else if (block.type === 'tool_use') {
+          const { args, argsError } = AIProvider.parseToolArguments(block.input);
           result.functionCalls.push({
+            id: block.id,
             name: block.name,
-            args: block.input
+            args,
+            ...(argsError ? { argsError } : {})
           });
         }
       }
@@ -160,13 +219,80 @@ class AnthropicProvider extends AIProvider {
     return result;
   }
 
-  async streamMessage(messages, tools = [], onChunk) {
-    const result = await this.sendMessage(messages, tools);
-    if (result.text) {
-      onChunk?.(result.text);
+  async readStream(response, onChunk) {
+    const result = { text: '', functionCalls: [] };
+    // Content blocks by index; tool_use input arrives as partial JSON fragments.
+    const blocks = [];
+
+    for await (const event of readServerSentEvents(response)) {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        continue;
+      }
+
+      switch (data?.type) {
+        case 'content_block_start': {
+          const block = data.content_block || {};
+          blocks[data.index] = { ...block, partialJson: '' };
+          if (block.type === 'text' && block.text) {
+            result.text += block.text;
+            onChunk?.(block.text);
+          }
+          break;
+        }
+        case 'content_block_delta': {
+          const delta = data.delta || {};
+          if (delta.type === 'text_delta' && delta.text) {
+            result.text += delta.text;
+            onChunk?.(delta.text);
+          } else if (delta.type === 'input_json_delta' && blocks[data.index]) {
+            blocks[data.index].partialJson += delta.partial_json || '';
+          }
+          break;
+        }
+        case 'error':
+          return { error: data.error?.message || 'Anthropic stream error' };
+        default:
+          break;
+      }
     }
+
+    for (const block of blocks) {
+      if (block?.type !== 'tool_use') continue;
+
+      const { args, argsError } = AIProvider.parseToolArguments(block.partialJson || block.input);
+      result.functionCalls.push({
+        id: block.id,
+        name: block.name,
+        args,
+        ...(argsError ? { argsError } : {})
+      });
+    }
+
     return result;
   }
+
+  async streamMessage(messages, tools = [], onChunk, options = {}) {
+    try {
+      const response = await fetch(`${this.baseUrl}/messages`, {
+        method: 'POST',
+        headers: this.getHeaders(true),
+        body: JSON.stringify({ ...this.buildRequestBody(messages, tools), stream: true }),
+        signal: options.signal
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        return { error: error.error?.message || `HTTP ${response.status}` };
+      }
+
+      return await this.readStream(response, onChunk);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
 }
 
 export default AnthropicProvider;
@@ -4,6 +4,7 @@
 
 import AIProvider from '../AIProvider.js';
 import { parseToolInputSchema, toGeminiSchema } from '../utils/toolSchemas.js';
+import { readServerSentEvents } from '../utils/streaming.js';
 
 class GeminiProvider extends AIProvider {
   constructor(config) {
@@ -72,38 +73,81 @@ class GeminiProvider extends AIProvider {
     }));
   }
 
+  toParts(message) {
+    if (message.role === 'system') {
+      return [{ text: `System: ${message.content}` }];
+    }
+
+    if (message.role === 'tool') {
+      let response;
+      if (message.isError) {
+        response = { error: String(message.result ?? 'Unknown error') };
+      } else if (message.result && typeof message.result === 'object' && !Array.isArray(message.result)) {
+        response = message.result;
+      } else {
+        response = { result: message.result ?? null };
+      }
+      return [{ functionResponse: { name: message.name, response } }];
+    }
+
+    const parts = [];
+    if (message.content) {
+      parts.push({ text: message.content });
+    }
+    if (message.role === 'assistant' && Array.isArray(message.toolCalls)) {
+      for (const call of message.toolCalls) {
+        parts.push({ functionCall: { name: call.name, args: call.args || {} } });
+      }
+    }
+    return parts;
+  }
+
   formatMessages(messages) {
-    return messages.map(msg => {
-      if (msg.role === 'system') {
-        return { role: 'user', parts: [{ text: `System: ${msg.content}` }] };
+    const contents = [];
+
+    for (const message of messages) {
+      // Function responses are sent in user turns; adjacent same-role turns are merged.
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const parts = this.toParts(message);
+      if (parts.length === 0) continue;
+
+      const previous = contents[contents.length - 1];
+      if (previous?.role === role) {
+        previous.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    }
+
+    return contents;
+  }
+
+  buildRequestBody(messages, tools = []) {
+    // Function call history without declarations is sent as plain text.
+    const conversation = tools.length > 0 ? messages : this.flattenToolMessages(messages);
+    const body = {
+      contents: this.formatMessages(conversation),
+      generationConfig: {
+        temperature: this.config.temperature,
+        maxOutputTokens: this.config.maxTokens
       }
-      return {
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      };
-    });
+    };
+
+    if (tools.length > 0) {
+      body.tools = [{ functionDeclarations: this.formatTools(tools) }];
+    }
+
+    return body;
   }
 
   async sendMessage(messages, tools = []) {
     try {
       const url = `${this.baseUrl}/models/${this.config.model}:generateContent?key=${this.config.apiKey}`;
-      
-      const body = {
-        contents: this.formatMessages(messages),
-        generationConfig: {
-          temperature: this.config.temperature,
-          maxOutputTokens: this.config.maxTokens
-        }
-      };
-
-      if (tools.length > 0) {
-        body.tools = [{ functionDeclarations: this.formatTools(tools) }];
-      }
 
       const response = await fetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
+        body: JSON.stringify(this.buildRequestBody(messages, tools))
       });
 
       if (!response.ok) {
@@ -118,6 +162,24 @@ class GeminiProvider extends AIProvider {
     }
   }
 
+  collectParts(parts, result, onChunk) {
+    for (const part of parts) {
+      if (part.text) {
+        result.text += part.text;
+        onChunk?.(part.text);
+      }
+      if (part.functionCall) {
+        const { args, argsError } = AIProvider.parseToolArguments(part.functionCall.args);
+        result.functionCalls.push({
+          id: part.functionCall.id || this.createToolCallId(),
+          name: part.functionCall.name,
+          args,
+          ...(argsError ? { argsError } : {})
+        });
+      }
+    }
+  }
+
   parseResponse(data) {
     const candidate = data.candidates?.[0];
     if (!candidate) {
@@ -128,36 +190,61 @@ class GeminiProvider extends AIProvider {
     const result = { text: '', functionCalls: [] };
 
     if (content?.parts) {
-      for (const part of content.parts) {
-        if (part.text) {
-          result.text += part.text;
-        }
-        if (part.functionCall) {
-          let args = part.functionCall.args;
-          if (typeof args === 'string') {
-            try {
-              args = JSON.parse(args);
-            } catch {
-              args = {};
-            }
-          }
-          result.functionCalls.push({
-            name: part.functionCall.name,
-            args: args && typeof args === 'object' ? args : {}
-          });
-        }
-      }
+      this.collectParts(content.parts, result);
     }
 
     return result;
   }
 
-  async streamMessage(messages, tools = [], onChunk) {
-    const result = await this.sendMessage(messages, tools);
-    if (result.text) {
-      onChunk?.(result.text);
+  async streamMessage(messages, tools = [], onChunk, options = {}) {
+    try {
+      const url = `${this.baseUrl}/models/${this.config.model}:streamGenerateContent?alt=sse&key=${this.config.apiKey}`;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.buildRequestBody(messages, tools)),
+        signal: options.signal
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        return { error: error.error?.message || `HTTP ${response.status}` };
+      }
+
+      const result = { text: '', functionCalls: [] };
+      let sawCandidate = false;
+
+      // Each event is a complete GenerateContentResponse carrying the next slice of parts.
+      for await (const event of readServerSentEvents(response)) {
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch {
+          continue;
+        }
+
+        if (data?.error) {
+          return { error: data.error.message || 'Gemini stream error' };
+        }
+
+        const candidate = data?.candidates?.[0];
+        if (!candidate) continue;
+        sawCandidate = true;
+
+        if (candidate.content?.parts) {
+          this.collectParts(candidate.content.parts, result, onChunk);
+        }
+      }
+
+      if (!sawCandidate) {
+        return { error: 'No response from Gemini' };
+      }
+
+      return result;
+    } catch (error) {
+      return { error: error.message };
     }
-    return result;
   }
 }
 
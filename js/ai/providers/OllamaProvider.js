@@ -4,6 +4,7 @@
 
 import AIProvider from '../AIProvider.js';
 import { parseToolInputSchema } from '../utils/toolSchemas.js';
+import { readNdjson } from '../utils/streaming.js';
 
 class OllamaProvider extends AIProvider {
   constructor(config) {
@@ -115,36 +116,58 @@ class OllamaProvider extends AIProvider {
     }));
   }
 
-  async sendMessage(messages, tools = []) {
-    try {
-      if (!this.config.model) {
-        return { error: 'No model selected. Please configure Ollama settings.' };
+  formatMessages(messages) {
+    return messages.map((message) => {
+      if (message.role === 'tool') {
+        return {
+          role: 'tool',
+          tool_name: message.name,
+          content: this.formatToolResultContent(message)
+        };
       }
 
-      // Format messages for Ollama
-      const formattedMessages = messages.map(m => ({
-        role: m.role === 'assistant' ? 'assistant' : 'user',
-        content: m.content
-      }));
-
-      const body = {
-        model: this.config.model,
-        messages: formattedMessages,
-        stream: false,
-        options: {
-          temperature: this.config.temperature,
-          num_predict: this.config.maxTokens
+      if (message.role === 'assistant') {
+        const formatted = { role: 'assistant', content: message.content || '' };
+        if (Array.isArray(message.toolCalls) && message.toolCalls.length > 0) {
+          formatted.tool_calls = message.toolCalls.map((call) => ({
+            function: { name: call.name, arguments: call.args || {} }
+          }));
         }
-      };
+        return formatted;
+      }
+
+      return { role: 'user', content: message.content };
+    });
+  }
+
+  buildRequestBody(messages, tools = [], stream = false) {
+    const body = {
+      model: this.config.model,
+      messages: this.formatMessages(messages),
+      stream,
+      options: {
+        temperature: this.config.temperature,
+        num_predict: this.config.maxTokens
+      }
+    };
+
+    if (tools.length > 0) {
+      body.tools = this.formatTools(tools);
+    }
+
+    return body;
+  }
 
-      if (tools.length > 0) {
-        body.tools = this.formatTools(tools);
+  async sendMessage(messages, tools = []) {
+    try {
+      if (!this.config.model) {
+        return { error: 'No model selected. Please configure Ollama settings.' };
       }
 
       const response = await fetch(`${this.getBaseUrl()}/api/chat`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
+        body: JSON.stringify(this.buildRequestBody(messages, tools, false))
       });
 
       if (!response.ok) {
@@ -159,6 +182,19 @@ class OllamaProvider extends AIProvider {
     }
   }
 
+  mapToolCalls(toolCalls) {
+    // Ollama may return tool calls in different formats depending on version
+    return this.withToolCallIds(toolCalls.map(call => {
+      const { args, argsError } = AIProvider.parseToolArguments(call.function?.arguments ?? call.arguments);
+      return {
+        id: call.id,
+        name: call.function?.name || call.name,
+        args,
+        ...(argsError ? { argsError } : {})
+      };
+    }));
+  }
+
   parseResponse(data) {
     const message = data.message;
     if (!message) {
@@ -167,24 +203,54 @@ class OllamaProvider extends AIProvider {
 
     const result = { text: message.content || '', functionCalls: [] };
 
-    // Ollama may return tool calls in different formats depending on version
     if (message.tool_calls) {
-      result.functionCalls = message.tool_calls.map(call => ({
-        name: call.function?.name || call.name,
-        args: call.function?.arguments || call.arguments || {}
-      }));
+      result.functionCalls = this.mapToolCalls(message.tool_calls);
     }
 
     return result;
   }
 
-  async streamMessage(messages, tools = [], onChunk) {
-    // Ollama supports streaming but simplified here
-    const result = await this.sendMessage(messages, tools);
-    if (result.text) {
-      onChunk?.(result.text);
+  async streamMessage(messages, tools = [], onChunk, options = {}) {
+    try {
+      if (!this.config.model) {
+        return { error: 'No model selected. Please configure Ollama settings.' };
+      }
+
+      const response = await fetch(`${this.getBaseUrl()}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.buildRequestBody(messages, tools, true)),
+        signal: options.signal
+      });
+
+      if (!response.ok) {
+        const error = await this.readErrorMessage(response, `HTTP ${response.status}`);
+        return { error };
+      }
+
+      const result = { text: '', functionCalls: [] };
+
+      for await (const record of readNdjson(response)) {
+        if (record?.error) {
+          return { error: String(record.error) };
+        }
+
+        const message = record?.message;
+        if (message?.content) {
+          result.text += message.content;
+          onChunk?.(message.content);
+        }
+        if (Array.isArray(message?.tool_calls)) {
+          result.functionCalls.push(...this.mapToolCalls(message.tool_calls));
+        }
+
+        if (record?.done) break;
+      }
+
+      return result;
+    } catch (error) {
+      return { error: this.formatFetchFailure(error, '/api/chat') };
     }
-    return result;
   }
 }
 
@@ -3,7 +3,8 @@
  */
 
 import AIProvider from '../AIProvider.js';
-import { parseToolInputSchema } from '../utils/toolSchemas.js';
+import { parseToolInputSchema, stripStrictNulls, toOpenAISchema } from '../utils/toolSchemas.js';
+import { isEventStream, readServerSentEvents } from '../utils/streaming.js';
 
 class OpenAIProvider extends AIProvider {
   constructor(config) {
@@ -11,6 +12,8 @@ class OpenAIProvider extends AIProvider {
     this.name = 'OpenAI GPT';
     this.id = 'openai';
     this.baseUrl = 'https://api.openai.com/v1';
+    // Original schemas of tools declared in strict mode, keyed by tool name.
+    this.strictToolSchemas = new Map();
   }
 
   isConfigured() {
@@ -73,15 +76,52 @@ class OpenAIProvider extends AIProvider {
     }
   }
 
+  isStrictSchemaMode() {
+    return this.config.strictSchemas === true;
+  }
+
   formatTools(tools) {
-    return tools.map((tool) => ({
-      type: 'function',
-      function: {
-        name: String(tool?.name || ''),
+    const strict = this.isStrictSchemaMode();
+    this.strictToolSchemas = new Map();
+
+    return tools.map((tool) => {
+      const name = String(tool?.name || '');
+      const { schema } = toOpenAISchema(tool?.inputSchema, { strict });
+      if (strict) {
+        this.strictToolSchemas.set(name, parseToolInputSchema(tool?.inputSchema));
+      }
+
+      const declaration = {
+        name,
         description: String(tool?.description || ''),
-        parameters: parseToolInputSchema(tool?.inputSchema)
+        parameters: schema
+      };
+      if (strict) {
+        declaration.strict = true;
       }
-    }));
+      return { type: 'function', function: declaration };
+    });
+  }
+
+  describeToolSchemaLoss(tools) {
+    const strict = this.isStrictSchemaMode();
+    return tools
+      .map((tool) => ({
+        tool: String(tool?.name || ''),
+        dropped: toOpenAISchema(tool?.inputSchema, { strict }).dropped
+      }))
+      .filter((entry) => entry.dropped.length > 0);
+  }
+
+  /**
+   * Parse tool arguments, removing nulls strict mode forced onto optional properties
+   * @returns {{args: Object, argsError?: string}}
+   */
+  parseToolCallArguments(toolName, rawArguments) {
+    const { args, argsError } = AIProvider.parseToolArguments(rawArguments);
+    if (argsError) return { args, argsError };
+    const schema = this.strictToolSchemas.get(toolName);
+    return { args: schema ? stripStrictNulls(schema, args) : args };
   }
 
   getTokenParamForModel(modelId) {
@@ -97,10 +137,41 @@ class OpenAIProvider extends AIProvider {
     return 'max_tokens';
   }
 
+  formatMessages(messages) {
+    return messages.map((message) => {
+      if (message.role === 'tool') {
+        return {
+          role: 'tool',
+          tool_call_id: message.toolCallId,
+          content: this.formatToolResultContent(message)
+        };
+      }
+
+      if (message.role === 'assistant' && Array.isArray(message.toolCalls) && message.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.toolCalls.map((call) => ({
+            id: call.id,
+            type: 'function',
+            function: {
+              name: call.name,
+              arguments: JSON.stringify(call.args || {})
+            }
+          }))
+        };
+      }
+
+      return { role: message.role, content: message.content };
+    });
+  }
+
   buildRequestBody(messages, tools = []) {
+    // OpenAI rejects tool messages and assistant tool_calls when no tools are declared.
+    const conversation = tools.length > 0 ? messages : this.flattenToolMessages(messages);
     const body = {
       model: this.config.model,
-      messages: messages
+      messages: this.formatMessages(conversation)
     };
 
     const temperature = Number(this.config.temperature);
@@ -196,41 +267,55 @@ class OpenAIProvider extends AIProvider {
     return null;
   }
 
-  async sendMessage(messages, tools = []) {
-    try {
-      const headers = {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.config.apiKey}`
-      };
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${this.config.apiKey}`
+    };
 
-      if (this.config.organization) {
-        headers['OpenAI-Organization'] = this.config.organization;
-      }
+    if (this.config.organization) {
+      headers['OpenAI-Organization'] = this.config.organization;
+    }
 
-      let body = this.buildRequestBody(messages, tools);
-      let lastError = '';
+    return headers;
+  }
 
-      for (let attempt = 0; attempt < 3; attempt += 1) {
-        const response = await fetch(`${this.baseUrl}/chat/completions`, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(body)
-        });
+  async postChatCompletion(initialBody, signal) {
+    let body = initialBody;
+    let lastError = '';
 
-        if (response.ok) {
-          const data = await response.json();
-          return this.parseResponse(data);
-        }
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(body),
+        signal
+      });
 
-        lastError = await this.readApiError(response);
-        const adjusted = this.adjustUnsupportedPayload(body, lastError);
-        if (!adjusted) {
-          return { error: lastError || `HTTP ${response.status}` };
-        }
-        body = adjusted;
+      if (response.ok) {
+        return { response };
       }
 
-      return { error: lastError || 'OpenAI request failed' };
+      lastError = await this.readApiError(response);
+      const adjusted = this.adjustUnsupportedPayload(body, lastError);
+      if (!adjusted) {
+        return { error: lastError || `HTTP ${response.status}` };
+      }
+      body = adjusted;
+    }
+
+    return { error: lastError || 'OpenAI request failed' };
+  }
+
+  async sendMessage(messages, tools = []) {
+    try {
+      const { response, error } = await this.postChatCompletion(this.buildRequestBody(messages, tools));
+      if (error) {
+        return { error };
+      }
+
+      const data = await response.json();
+      return this.parseResponse(data);
     } catch (error) {
       return { error: error.message };
     }
@@ -246,28 +331,91 @@ class OpenAIProvider extends AIProvider {
 
     if (message.tool_calls) {
       result.functionCalls = message.tool_calls.map(call => ({
+        id: call.id,
         name: call.function.name,
-        args: (() => {
-          try {
-            return JSON.parse(call.function.arguments || '{}');
-          } catch {
-            return {};
-          }
-        })()
+        ...this.parseToolCallArguments(call.function.name, call.function.arguments)
       }));
+      result.functionCalls = this.withToolCallIds(result.functionCalls);
     }
 
     return result;
   }
 
-  async streamMessage(messages, tools = [], onChunk) {
-    // Simplified streaming - just call regular method
-    const result = await this.sendMessage(messages, tools);
-    if (result.text) {
-      onChunk?.(result.text);
+  async readStream(response, onChunk) {
+    const result = { text: '', functionCalls: [] };
+    // Tool calls arrive as fragments keyed by index; arguments are a JSON string split across deltas.
+    const pendingCalls = [];
+
+    for await (const event of readServerSentEvents(response)) {
+      if (event.data === '[DONE]') break;
+
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        continue;
+      }
+
+      if (data?.error) {
+        return { error: data.error.message || 'OpenAI stream error' };
+      }
+
+      const delta = data?.choices?.[0]?.delta;
+      if (!delta) continue;
+
+      if (typeof delta.content === 'string' && delta.content) {
+        result.text += delta.content;
+        onChunk?.(delta.content);
+      }
+
+      if (Array.isArray(delta.tool_calls)) {
+        for (const callDelta of delta.tool_calls) {
+          const index = Number.isInteger(callDelta.index) ? callDelta.index : pendingCalls.length;
+          if (!pendingCalls[index]) {
+            pendingCalls[index] = { id: '', name: '', arguments: '' };
+          }
+          const pending = pendingCalls[index];
+          if (callDelta.id) pending.id = callDelta.id;
+          if (callDelta.function?.name) pending.name = callDelta.function.name;
+          if (callDelta.function?.arguments) pending.arguments += callDelta.function.arguments;
+        }
+      }
     }
+
+    result.functionCalls = pendingCalls
+      .filter((call) => call && call.name)
+      .map((call) => ({
+        id: call.id,
+        name: call.name,
+        ...this.parseToolCallArguments(call.name, call.arguments)
+      }));
+    result.functionCalls = this.withToolCallIds(result.functionCalls);
+
     return result;
   }
+
+  async streamMessage(messages, tools = [], onChunk, options = {}) {
+    try {
+      const body = { ...this.buildRequestBody(messages, tools), stream: true };
+      const { response, error } = await this.postChatCompletion(body, options.signal);
+      if (error) {
+        return { error };
+      }
+
+      // The retry loop may have dropped `stream` for models that reject it.
+      if (!isEventStream(response)) {
+        const result = this.parseResponse(await response.json());
+        if (result.text) {
+          onChunk?.(result.text);
+        }
+        return result;
+      }
+
+      return await this.readStream(response, onChunk);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
 }
 
 export default OpenAIProvider;
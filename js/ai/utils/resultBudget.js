@@ -0,0 +1,79 @@
+/**
+ * Tool result budget for model prompts.
+ * Shrinks a result to a character budget by capping array lengths, object keys
+ * and string lengths, so the model still sees valid, representative JSON.
+ */
+
+const INITIAL_ITEM_LIMIT = 50;
+const INITIAL_STRING_LIMIT = 2000;
+const MIN_ITEM_LIMIT = 1;
+const MIN_STRING_LIMIT = 40;
+
+function limitValue(value, itemLimit, stringLimit) {
+  if (typeof value === 'string') {
+    return value.length > stringLimit ? `${value.slice(0, stringLimit)}… (${value.length} chars)` : value;
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, itemLimit).map((item) => limitValue(item, itemLimit, stringLimit));
+    if (value.length > itemLimit) items.push(`… ${value.length - itemLimit} more items`);
+    return items;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    const out = {};
+    for (const key of keys.slice(0, itemLimit)) {
+      out[key] = limitValue(value[key], itemLimit, stringLimit);
+    }
+    if (keys.length > itemLimit) out['…'] = `${keys.length - itemLimit} more keys`;
+    return out;
+  }
+  return value;
+}
+
+function parseJsonText(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Fit a tool result into `maxChars` characters of JSON
+ * @param {*} value - Tool result (object, or JSON/plain text)
+ * @param {number} maxChars - Budget; 0 or less means unlimited
+ * @returns {{ value: *, truncated: boolean, originalChars: number, sentChars: number }}
+ */
+export function fitResultToBudget(value, maxChars) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value) ?? 'null';
+  if (!(maxChars > 0) || text.length <= maxChars) {
+    return { value, truncated: false, originalChars: text.length, sentChars: text.length };
+  }
+
+  const note = (detail) => `Result truncated to fit a ${maxChars}-character budget (${detail}); ` +
+    `the original was ${text.length} characters.`;
+
+  const structured = typeof value === 'string' ? parseJsonText(value) : value;
+  if (structured && typeof structured === 'object') {
+    let itemLimit = INITIAL_ITEM_LIMIT;
+    let stringLimit = INITIAL_STRING_LIMIT;
+    while (itemLimit >= MIN_ITEM_LIMIT && stringLimit >= MIN_STRING_LIMIT) {
+      const fitted = {
+        note: note(`at most ${itemLimit} items per array or object, ${stringLimit} characters per string`),
+        result: limitValue(structured, itemLimit, stringLimit)
+      };
+      const fittedText = JSON.stringify(fitted);
+      if (fittedText.length <= maxChars) {
+        return { value: fitted, truncated: true, originalChars: text.length, sentChars: fittedText.length };
+      }
+      if (itemLimit > MIN_ITEM_LIMIT) itemLimit = Math.max(MIN_ITEM_LIMIT, Math.floor(itemLimit / 2));
+      else stringLimit = Math.floor(stringLimit / 2);
+    }
+  }
+
+  const suffix = `… [${note('cut at the budget')}]`;
+  const head = text.slice(0, Math.max(0, maxChars - suffix.length));
+  return { value: `${head}${suffix}`, truncated: true, originalChars: text.length, sentChars: head.length + suffix.length };
+}
@@ -0,0 +1,108 @@
+/**
+ * Streaming response readers for provider adapters.
+ * Decodes fetch bodies incrementally into SSE events or NDJSON records.
+ */
+
+async function* readLines(response) {
+  if (!response?.body || typeof response.body.getReader !== 'function') {
+    throw new Error('Streaming response body is not readable');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        finished = true;
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      let newlineIndex = buffer.indexOf('\n');
+      while (newlineIndex !== -1) {
+        yield buffer.slice(0, newlineIndex).replace(/\r$/, '');
+        buffer = buffer.slice(newlineIndex + 1);
+        newlineIndex = buffer.indexOf('\n');
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer) {
+      yield buffer.replace(/\r$/, '');
+    }
+  } finally {
+    // A consumer that stops early ([DONE], an error event, an abort) must not leave the body downloading.
+    if (!finished) {
+      await reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Iterate server-sent events from a fetch response.
+ * @param {Response} response
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+export async function* readServerSentEvents(response) {
+  let eventName = '';
+  let dataLines = [];
+
+  for await (const line of readLines(response)) {
+    if (line === '') {
+      if (dataLines.length > 0) {
+        yield { event: eventName || 'message', data: dataLines.join('\n') };
+      }
+      eventName = '';
+      dataLines = [];
+      continue;
+    }
+
+    // Comment lines are keep-alives.
+    if (line.startsWith(':')) continue;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? '' : line.slice(separator + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'event') {
+      eventName = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  }
+
+  if (dataLines.length > 0) {
+    yield { event: eventName || 'message', data: dataLines.join('\n') };
+  }
+}
+
+/**
+ * Iterate newline-delimited JSON records from a fetch response.
+ * @param {Response} response
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* readNdjson(response) {
+  for await (const line of readLines(response)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    yield JSON.parse(trimmed);
+  }
+}
+
+/**
+ * Check whether a response is an SSE stream (vs. a buffered JSON body).
+ * @param {Response} response
+ * @returns {boolean}
+ */
+export function isEventStream(response) {
+  const contentType = String(response?.headers?.get?.('content-type') || '').toLowerCase();
+  return contentType.includes('text/event-stream');
+}
@@ -3,6 +3,8 @@
  * Keeps parsing and provider-specific schema adaptation centralized.
  */
 
+import { dereferenceSchema } from '../../schema/resolver.js';
+
 const DEFAULT_SCHEMA = { type: 'object', properties: {} };
 
 const GEMINI_TYPE_MAP = {
@@ -18,7 +20,7 @@ function isPlainObject(value) {
   return !!value && typeof value === 'object' && !Array.isArray(value);
 }
 
-export function parseToolInputSchema(rawSchema) {
+function parseRawSchema(rawSchema) {
   if (!rawSchema) {
     return { ...DEFAULT_SCHEMA };
   }
@@ -39,6 +41,13 @@ export function parseToolInputSchema(rawSchema) {
   return { ...DEFAULT_SCHEMA };
 }
 
+/**
+ * Parse a tool inputSchema (object or JSON string) with local $refs inlined.
+ */
+export function parseToolInputSchema(rawSchema) {
+  return dereferenceSchema(parseRawSchema(rawSchema));
+}
+
 function pickNonNullType(schemaType) {
   if (typeof schemaType === 'string') {
     return schemaType.toLowerCase();
@@ -61,7 +70,7 @@ function inferType(schema) {
 }
 
 function normalizeGeminiSchema(schema) {
-  const parsed = parseToolInputSchema(schema);
+  const parsed = isPlainObject(schema) ? schema : {};
   const schemaType = inferType(parsed);
   const geminiType = GEMINI_TYPE_MAP[schemaType] || 'OBJECT';
   const out = { type: geminiType };
@@ -100,5 +109,302 @@ function normalizeGeminiSchema(schema) {
 }
 
 export function toGeminiSchema(rawSchema) {
-  return normalizeGeminiSchema(rawSchema);
+  return normalizeGeminiSchema(parseToolInputSchema(rawSchema));
+}
+
+// OpenAI structured outputs accept only a subset of JSON Schema in strict mode.
+const OPENAI_STRICT_KEYWORDS = new Set([
+  'type',
+  'description',
+  'title',
+  'properties',
+  'required',
+  'additionalProperties',
+  'items',
+  'enum',
+  'const',
+  'anyOf',
+  'pattern',
+  'format',
+  'multipleOf',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'minItems',
+  'maxItems'
+]);
+
+const OPENAI_STRICT_FORMATS = new Set([
+  'date-time', 'time', 'date', 'duration', 'email', 'hostname', 'ipv4', 'ipv6', 'uuid'
+]);
+
+const ANTHROPIC_FORMATS = new Set([
+  'date-time', 'time', 'date', 'duration', 'email', 'hostname', 'uri', 'ipv4', 'ipv6', 'uuid'
+]);
+
+const NESTED_SCHEMA_MAPS = ['properties', 'patternProperties', 'dependentSchemas'];
+const NESTED_SCHEMA_LISTS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const NESTED_SCHEMAS = [
+  'items', 'additionalItems', 'additionalProperties', 'contains', 'propertyNames', 'not', 'if', 'then', 'else'
+];
+
+function pointer(path, ...segments) {
+  return segments.reduce(
+    (out, segment) => `${out}/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`,
+    path
+  );
+}
+
+function dropKeyword(dropped, path, keyword, reason) {
+  dropped.push({ path: path || '/', keyword, reason });
+}
+
+function withObjectRoot(schema) {
+  return inferType(schema) === 'object' && schema.type === undefined
+    ? { type: 'object', ...schema }
+    : schema;
+}
+
+function allowsNull(schema) {
+  if (!isPlainObject(schema)) return schema === true;
+  if (schema.type === 'null') return true;
+  if (Array.isArray(schema.type) && schema.type.includes('null')) return true;
+  if (Array.isArray(schema.enum) && schema.enum.includes(null)) return true;
+  if (schema.const === null) return true;
+  const alternatives = schema.anyOf || schema.oneOf;
+  return Array.isArray(alternatives) && alternatives.some((entry) => allowsNull(entry));
+}
+
+function makeNullable(schema) {
+  if (allowsNull(schema)) return schema;
+
+  if (Array.isArray(schema.anyOf)) {
+    return { ...schema, anyOf: [...schema.anyOf, { type: 'null' }] };
+  }
+
+  if (typeof schema.type === 'string' || Array.isArray(schema.type)) {
+    const out = { ...schema, type: [...[].concat(schema.type), 'null'] };
+    if (Array.isArray(schema.enum)) {
+      out.enum = [...schema.enum, null];
+    }
+    return out;
+  }
+
+  const { description, ...rest } = schema;
+  const out = { anyOf: [rest, { type: 'null' }] };
+  if (description !== undefined) out.description = description;
+  return out;
+}
+
+function mergeAllOf(schema, path, dropped) {
+  const { allOf, ...rest } = schema;
+  const merged = { ...rest };
+  allOf.forEach((part, index) => {
+    if (!isPlainObject(part)) return;
+    const resolved = Array.isArray(part.allOf) ? mergeAllOf(part, pointer(path, 'allOf', index), dropped) : part;
+    for (const [key, value] of Object.entries(resolved)) {
+      if (key === 'properties') {
+        merged.properties = { ...(merged.properties || {}), ...value };
+      } else if (key === 'required') {
+        merged.required = [...new Set([...(merged.required || []), ...value])];
+      } else if (merged[key] === undefined) {
+        merged[key] = value;
+      } else if (JSON.stringify(merged[key]) !== JSON.stringify(value)) {
+        dropKeyword(dropped, pointer(path, 'allOf', index, key), key, 'conflicting allOf branch');
+      }
+    }
+  });
+  return merged;
+}
+
+function sanitizeStrictNode(schema, path, dropped) {
+  if (!isPlainObject(schema)) {
+    dropKeyword(dropped, path, 'type', 'untyped value sent as string');
+    return { type: 'string' };
+  }
+
+  let source = schema;
+  if (Array.isArray(source.allOf)) {
+    source = mergeAllOf(source, path, dropped);
+  }
+  if (Array.isArray(source.oneOf)) {
+    const { oneOf, ...rest } = source;
+    dropKeyword(dropped, path, 'oneOf', 'relaxed to anyOf');
+    source = { ...rest, anyOf: [...(rest.anyOf || []), ...oneOf] };
+  }
+
+  const out = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (!OPENAI_STRICT_KEYWORDS.has(key)) {
+      dropKeyword(dropped, path, key, 'not supported in strict mode');
+      continue;
+    }
+    if (key === 'format' && !OPENAI_STRICT_FORMATS.has(value)) {
+      dropKeyword(dropped, path, 'format', `format "${value}" not supported in strict mode`);
+      continue;
+    }
+    if (!['properties', 'required', 'additionalProperties', 'items', 'anyOf'].includes(key)) {
+      out[key] = value;
+    }
+  }
+
+  if (Array.isArray(source.anyOf)) {
+    out.anyOf = source.anyOf.map((entry, index) => sanitizeStrictNode(entry, pointer(path, 'anyOf', index), dropped));
+  }
+
+  if (out.type === undefined && !out.anyOf && !out.enum && out.const === undefined) {
+    if (isPlainObject(source.properties) || source.items) {
+      out.type = inferType(source);
+    } else {
+      dropKeyword(dropped, path, 'type', 'untyped value sent as string');
+      out.type = 'string';
+    }
+  }
+
+  if (pickNonNullType(out.type) === 'object') {
+    const properties = isPlainObject(source.properties) ? source.properties : {};
+    const required = new Set(Array.isArray(source.required) ? source.required : []);
+    out.properties = {};
+    for (const [key, child] of Object.entries(properties)) {
+      const sanitized = sanitizeStrictNode(child, pointer(path, 'properties', key), dropped);
+      // Strict mode requires every property; optional ones accept null instead.
+      out.properties[key] = required.has(key) ? sanitized : makeNullable(sanitized);
+    }
+    out.required = Object.keys(out.properties);
+
+    if (source.additionalProperties !== undefined && source.additionalProperties !== false) {
+      dropKeyword(dropped, path, 'additionalProperties', 'extra properties are not allowed in strict mode');
+    }
+    out.additionalProperties = false;
+  }
+
+  if (pickNonNullType(out.type) === 'array') {
+    if (Array.isArray(source.items)) {
+      dropKeyword(dropped, path, 'items', 'tuple items not supported in strict mode');
+      out.items = { type: 'string' };
+    } else {
+      out.items = sanitizeStrictNode(source.items ?? {}, pointer(path, 'items'), dropped);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Build OpenAI function parameters for a tool input schema.
+ * With `strict`, the schema is rewritten for structured outputs: every object is
+ * closed, every property is required (optional ones become nullable) and
+ * unsupported keywords are removed.
+ * @param {Object|string} rawSchema
+ * @param {Object} options - { strict }
+ * @returns {{schema: Object, dropped: Array<{path: string, keyword: string, reason: string}>}}
+ */
+export function toOpenAISchema(rawSchema, options = {}) {
+  const parsed = withObjectRoot(parseToolInputSchema(rawSchema));
+  if (!options.strict) {
+    return { schema: parsed, dropped: [] };
+  }
+
+  const dropped = [];
+  return { schema: sanitizeStrictNode(parsed, '', dropped), dropped };
+}
+
+function sanitizeFormats(schema, path, dropped, allowedFormats) {
+  if (!isPlainObject(schema)) return schema;
+
+  const out = { ...schema };
+  if (typeof out.format === 'string' && !allowedFormats.has(out.format)) {
+    dropKeyword(dropped, path, 'format', `format "${out.format}" is not supported`);
+    delete out.format;
+  }
+
+  for (const key of NESTED_SCHEMA_MAPS) {
+    if (!isPlainObject(out[key])) continue;
+    out[key] = Object.fromEntries(
+      Object.entries(out[key]).map(([name, child]) => [
+        name,
+        sanitizeFormats(child, pointer(path, key, name), dropped, allowedFormats)
+      ])
+    );
+  }
+
+  for (const key of NESTED_SCHEMA_LISTS) {
+    if (!Array.isArray(out[key])) continue;
+    out[key] = out[key].map((child, index) => sanitizeFormats(child, pointer(path, key, index), dropped, allowedFormats));
+  }
+
+  for (const key of NESTED_SCHEMAS) {
+    if (Array.isArray(out[key])) {
+      out[key] = out[key].map((child, index) => sanitizeFormats(child, pointer(path, key, index), dropped, allowedFormats));
+    } else if (isPlainObject(out[key])) {
+      out[key] = sanitizeFormats(out[key], pointer(path, key), dropped, allowedFormats);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Build an Anthropic input_schema for a tool, removing string formats the API rejects.
+ * @param {Object|string} rawSchema
+ * @returns {{schema: Object, dropped: Array<{path: string, keyword: string, reason: string}>}}
+ */
+export function toAnthropicSchema(rawSchema) {
+  const dropped = [];
+  const schema = sanitizeFormats(withObjectRoot(parseToolInputSchema(rawSchema)), '', dropped, ANTHROPIC_FORMATS);
+  return { schema, dropped };
+}
+
+/**
+ * Flatten a schema node the way the strict sanitizer sees it: allOf merged into one
+ * node, and of anyOf/oneOf the branch that fits the value (for objects, the first whose
+ * properties cover every key the model sent) merged over the shared keywords.
+ */
+function resolveStrictShape(schema, value) {
+  const source = Array.isArray(schema.allOf) ? mergeAllOf(schema, '', []) : schema;
+  const { anyOf, oneOf, ...rest } = source;
+  const alternatives = [...(anyOf || []), ...(oneOf || [])]
+    .filter(isPlainObject)
+    .map((entry) => resolveStrictShape(entry, value));
+  if (alternatives.length === 0) return source;
+
+  let branch = null;
+  if (Array.isArray(value)) {
+    branch = alternatives.find((entry) => isPlainObject(entry.items));
+  } else if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    const objectBranches = alternatives.filter((entry) => isPlainObject(entry.properties));
+    branch = objectBranches.find((entry) => keys.every((key) => key in entry.properties)) || objectBranches[0];
+  }
+  return branch ? mergeAllOf({ ...rest, allOf: [branch] }, '', []) : source;
+}
+
+/**
+ * Remove null values that strict mode forced onto optional properties, so tools
+ * receive the same arguments they would without strict mode.
+ * @param {Object} rawSchema - Original (non-strict) dereferenced schema
+ * @param {*} value - Arguments produced by the model
+ * @returns {*} Arguments without placeholder nulls
+ */
+export function stripStrictNulls(rawSchema, value) {
+  if (!isPlainObject(rawSchema)) return value;
+  const schema = resolveStrictShape(rawSchema, value);
+
+  if (Array.isArray(value)) {
+    return isPlainObject(schema.items) ? value.map((item) => stripStrictNulls(schema.items, item)) : value;
+  }
+
+  if (!isPlainObject(value) || !isPlainObject(schema.properties)) return value;
+
+  const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+  const out = {};
+  for (const [key, entry] of Object.entries(value)) {
+    const childSchema = schema.properties[key];
+    if (entry === null && !required.has(key) && !allowsNull(childSchema)) {
+      continue;
+    }
+    out[key] = stripStrictNulls(childSchema, entry);
+  }
+  return out;
 }
@@ -0,0 +1,187 @@
+/**
+ * WebMCP Inspector - History Store
+ * Persists tool executions per origin in chrome.storage.local
+ */
+
+import resultStore from '../results/ResultStore.js';
+
+const HISTORY_KEY_PREFIX = 'webmcp_history_v1:';
+const MAX_ENTRIES_PER_ORIGIN = 200;
+// Every add rewrites the origin's whole list, so larger results move to the result store
+const MAX_INLINE_RESULT_CHARS = 8 * 1024;
+const RESULT_PREVIEW_CHARS = 1000;
+
+class HistoryStore {
+  constructor() {
+    this.listeners = new Set();
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run read-modify-write tasks one at a time; parallel tool calls would otherwise
+   * each read the same list and the last write would drop the others' entries.
+   */
+  enqueueWrite(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  getStorageKey(origin) {
+    return `${HISTORY_KEY_PREFIX}${origin || 'unknown'}`;
+  }
+
+  originFromUrl(url) {
+    try {
+      return new URL(url).origin;
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  createId() {
+    return `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  async readOrigin(origin) {
+    const key = this.getStorageKey(origin);
+    const stored = await chrome.storage.local.get(key);
+    return Array.isArray(stored[key]) ? stored[key] : [];
+  }
+
+  /**
+   * Keep small results inline; store larger ones in the result store and keep a preview
+   * @returns {Promise<{result: *, resultPreview: string|null, resultRef: Object|null}>}
+   */
+  async capResult(entry) {
+    if (entry.resultRef) {
+      return { result: null, resultPreview: null, resultRef: entry.resultRef };
+    }
+    const text = JSON.stringify(entry.result ?? null) ?? 'null';
+    if (text.length <= MAX_INLINE_RESULT_CHARS) {
+      return { result: entry.result ?? null, resultPreview: null, resultRef: null };
+    }
+
+    const resultPreview = `${text.slice(0, RESULT_PREVIEW_CHARS)}… (${text.length} chars)`;
+    try {
+      const resultRef = await resultStore.saveText(text, { tool: String(entry.tool || '') });
+      return { result: null, resultPreview, resultRef };
+    } catch (error) {
+      console.debug('[HistoryStore] Failed to store result:', error?.message || error);
+      return { result: null, resultPreview, resultRef: null };
+    }
+  }
+
+  /**
+   * Record a tool execution
+   * @param {Object} entry - { url, tool, frameId, source, input, normalizedInput, result, resultRef, error, elapsedMs }
+   * @returns {Promise<Object>} Stored entry
+   */
+  async add(entry) {
+    const origin = entry.origin || this.originFromUrl(entry.url);
+    const { result, resultPreview, resultRef } = await this.capResult(entry);
+    const record = {
+      id: this.createId(),
+      ts: new Date().toISOString(),
+      origin,
+      url: entry.url || '',
+      tool: String(entry.tool || ''),
+      frameId: Number.isInteger(entry.frameId) ? entry.frameId : 0,
+      source: entry.source || 'manual',
+      input: entry.input ?? {},
+      normalizedInput: entry.normalizedInput ?? null,
+      result,
+      // Results too large to keep inline live in the result store, which prunes old ones
+      resultPreview,
+      resultRef,
+      error: entry.error || null,
+      status: entry.error ? 'error' : 'success',
+      elapsedMs: Number.isFinite(entry.elapsedMs) ? entry.elapsedMs : null
+    };
+
+    await this.enqueueWrite(async () => {
+      const entries = await this.readOrigin(origin);
+      entries.unshift(record);
+      await chrome.storage.local.set({
+        [this.getStorageKey(origin)]: entries.slice(0, MAX_ENTRIES_PER_ORIGIN)
+      });
+    });
+
+    this.notifyListeners('add', record);
+    return record;
+  }
+
+  /**
+   * List origins that have recorded history
+   * @returns {Promise<string[]>}
+   */
+  async listOrigins() {
+    const stored = await chrome.storage.local.get(null);
+    return Object.keys(stored)
+      .filter((key) => key.startsWith(HISTORY_KEY_PREFIX))
+      .map((key) => key.slice(HISTORY_KEY_PREFIX.length))
+      .sort();
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} filter - { origin, tool, status, query }; omit origin for all origins
+   * @returns {Promise<Object[]>}
+   */
+  async list(filter = {}) {
+    const origins = filter.origin ? [filter.origin] : await this.listOrigins();
+    const all = [];
+    for (const origin of origins) {
+      all.push(...await this.readOrigin(origin));
+    }
+
+    const query = String(filter.query || '').trim().toLowerCase();
+    return all
+      .filter((entry) => !filter.tool || entry.tool === filter.tool)
+      .filter((entry) => !filter.status || entry.status === filter.status)
+      .filter((entry) => {
+        if (!query) return true;
+        const haystack = [
+          entry.tool,
+          entry.url,
+          entry.error || '',
+          JSON.stringify(entry.input ?? null),
+          JSON.stringify(entry.result ?? null),
+          entry.resultPreview || ''
+        ].join(' ').toLowerCase();
+        return haystack.includes(query);
+      })
+      .sort((a, b) => b.ts.localeCompare(a.ts));
+  }
+
+  async clear(origin) {
+    await this.enqueueWrite(async () => {
+      if (origin) {
+        await chrome.storage.local.remove(this.getStorageKey(origin));
+      } else {
+        const origins = await this.listOrigins();
+        await chrome.storage.local.remove(origins.map((entry) => this.getStorageKey(entry)));
+      }
+    });
+    this.notifyListeners('clear', origin || null);
+  }
+
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, value) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(event, value);
+      } catch (error) {
+        console.error('History listener error:', error);
+      }
+    });
+  }
+}
+
+const historyStore = new HistoryStore();
+export default historyStore;
+export { HistoryStore };
@@ -5,6 +5,32 @@
 // Settings
 export { default as settingsManager, SettingsManager, DEFAULT_SETTINGS } from './settings/SettingsManager.js';
 
+// History
+export { default as historyStore, HistoryStore } from './history/HistoryStore.js';
+
+// Presets
+export { default as presetStore, PresetStore } from './presets/PresetStore.js';
+
+// Mocks
+export { default as mockToolStore, MockToolStore, MOCK_RESPONSE_TYPES } from './mocks/MockToolStore.js';
+
+// Results
+export { default as resultStore, ResultStore } from './results/ResultStore.js';
+
+// Schema
+export { validateAgainstSchema } from './schema/validator.js';
+export { dereferenceSchema, resolveLocalRef } from './schema/resolver.js';
+export { lintTool, lintTools, LINT_SEVERITIES } from './schema/linter.js';
+export { checkFormSchemaConsistency } from './schema/formConsistency.js';
+
+// Utils
+export { diffJson, describeJsonChange } from './utils/jsonDiff.js';
+export { diffToolSets, toolKey } from './utils/toolDiff.js';
+
+// UI
+export { default as SchemaForm } from './ui/SchemaForm.js';
+export { default as ResultViewer } from './ui/ResultViewer.js';
+
 // AI
 export { default as aiManager, AIManager } from './ai/AIManager.js';
 export { default as AIProvider } from './ai/AIProvider.js';
@@ -12,6 +38,7 @@ export { default as GeminiProvider } from './ai/providers/GeminiProvider.js';
 export { default as OpenAIProvider } from './ai/providers/OpenAIProvider.js';
 export { default as AnthropicProvider } from './ai/providers/AnthropicProvider.js';
 export { default as OllamaProvider } from './ai/providers/OllamaProvider.js';
+export { fitResultToBudget } from './ai/utils/resultBudget.js';
 
 // Initialize function
 export async function initialize() {
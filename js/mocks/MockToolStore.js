@@ -0,0 +1,81 @@
+/**
+ * WebMCP Inspector - Mock Tool Store
+ * Ad-hoc tool definitions per origin in chrome.storage.local, re-registered on page load
+ */
+
+const MOCK_KEY_PREFIX = 'webmcp_mocks_v1:';
+export const MOCK_RESPONSE_TYPES = ['json', 'js'];
+
+class MockToolStore {
+  getStorageKey(origin) {
+    return `${MOCK_KEY_PREFIX}${origin || 'unknown'}`;
+  }
+
+  createId() {
+    return `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  async readOrigin(origin) {
+    const key = this.getStorageKey(origin);
+    const stored = await chrome.storage.local.get(key);
+    return Array.isArray(stored[key]) ? stored[key] : [];
+  }
+
+  async writeOrigin(origin, mocks) {
+    const key = this.getStorageKey(origin);
+    if (mocks.length === 0) {
+      await chrome.storage.local.remove(key);
+      return;
+    }
+    await chrome.storage.local.set({ [key]: mocks });
+  }
+
+  /**
+   * List mock tools for an origin, sorted by name
+   * @returns {Promise<Array<{id: string, name: string, description: string, inputSchema: Object, responseType: string, response: string, autoRegister: boolean, updatedAt: string}>>}
+   */
+  async list(origin) {
+    const mocks = await this.readOrigin(origin);
+    return [...mocks].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save a mock; matched by id, or by name when the id is new
+   */
+  async save(origin, mock) {
+    const name = String(mock?.name || '').trim();
+    if (!name) throw new Error('Mock tool name is required');
+    if (!MOCK_RESPONSE_TYPES.includes(mock.responseType)) {
+      throw new Error(`Response type must be one of: ${MOCK_RESPONSE_TYPES.join(', ')}`);
+    }
+
+    const mocks = await this.readOrigin(origin);
+    const existing = mocks.find((entry) => entry.id === mock.id) || mocks.find((entry) => entry.name === name);
+    if (existing && mocks.some((entry) => entry.id !== existing.id && entry.name === name)) {
+      throw new Error(`A mock tool named "${name}" already exists`);
+    }
+
+    const saved = {
+      id: existing?.id || this.createId(),
+      name,
+      description: String(mock.description || ''),
+      inputSchema: mock.inputSchema ?? { type: 'object', properties: {} },
+      responseType: mock.responseType,
+      response: String(mock.response ?? ''),
+      autoRegister: mock.autoRegister !== false,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.writeOrigin(origin, [...mocks.filter((entry) => entry.id !== saved.id), saved]);
+    return saved;
+  }
+
+  async remove(origin, mockId) {
+    const mocks = await this.readOrigin(origin);
+    await this.writeOrigin(origin, mocks.filter((entry) => entry.id !== mockId));
+  }
+}
+
+const mockToolStore = new MockToolStore();
+export default mockToolStore;
+export { MockToolStore };
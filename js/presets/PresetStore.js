@@ -0,0 +1,127 @@
+/**
+ * WebMCP Inspector - Preset Store
+ * Named tool input presets per (origin, tool name) in chrome.storage.local
+ */
+
+const PRESET_KEY_PREFIX = 'webmcp_presets_v1:';
+const EXPORT_VERSION = 1;
+
+class PresetStore {
+  getStorageKey(origin) {
+    return `${PRESET_KEY_PREFIX}${origin || 'unknown'}`;
+  }
+
+  createId() {
+    return `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  async readOrigin(origin) {
+    const key = this.getStorageKey(origin);
+    const stored = await chrome.storage.local.get(key);
+    const value = stored[key];
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  }
+
+  async writeOrigin(origin, presetsByTool) {
+    await chrome.storage.local.set({ [this.getStorageKey(origin)]: presetsByTool });
+  }
+
+  /**
+   * List presets for a tool, sorted by name
+   * @returns {Promise<Array<{id: string, name: string, args: Object, updatedAt: string}>>}
+   */
+  async list(origin, toolName) {
+    const presetsByTool = await this.readOrigin(origin);
+    const presets = Array.isArray(presetsByTool[toolName]) ? presetsByTool[toolName] : [];
+    return [...presets].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save a preset; an existing preset with the same name is overwritten
+   */
+  async save(origin, toolName, name, args) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) throw new Error('Preset name is required');
+
+    const presetsByTool = await this.readOrigin(origin);
+    const presets = Array.isArray(presetsByTool[toolName]) ? presetsByTool[toolName] : [];
+    const existing = presets.find((preset) => preset.name === trimmedName);
+    const preset = {
+      id: existing?.id || this.createId(),
+      name: trimmedName,
+      args,
+      updatedAt: new Date().toISOString()
+    };
+
+    presetsByTool[toolName] = [...presets.filter((entry) => entry.id !== preset.id), preset];
+    await this.writeOrigin(origin, presetsByTool);
+    return preset;
+  }
+
+  async rename(origin, toolName, presetId, newName) {
+    const trimmedName = String(newName || '').trim();
+    if (!trimmedName) throw new Error('Preset name is required');
+
+    const presetsByTool = await this.readOrigin(origin);
+    const presets = Array.isArray(presetsByTool[toolName]) ? presetsByTool[toolName] : [];
+    const preset = presets.find((entry) => entry.id === presetId);
+    if (!preset) throw new Error('Preset not found');
+    if (presets.some((entry) => entry.id !== presetId && entry.name === trimmedName)) {
+      throw new Error(`A preset named "${trimmedName}" already exists`);
+    }
+
+    preset.name = trimmedName;
+    preset.updatedAt = new Date().toISOString();
+    await this.writeOrigin(origin, presetsByTool);
+    return preset;
+  }
+
+  async remove(origin, toolName, presetId) {
+    const presetsByTool = await this.readOrigin(origin);
+    const presets = Array.isArray(presetsByTool[toolName]) ? presetsByTool[toolName] : [];
+    presetsByTool[toolName] = presets.filter((entry) => entry.id !== presetId);
+    if (presetsByTool[toolName].length === 0) {
+      delete presetsByTool[toolName];
+    }
+    await this.writeOrigin(origin, presetsByTool);
+  }
+
+  /**
+   * Export all presets for an origin as a JSON string
+   */
+  async export(origin) {
+    const presetsByTool = await this.readOrigin(origin);
+    const presets = {};
+    for (const [toolName, entries] of Object.entries(presetsByTool)) {
+      presets[toolName] = entries.map(({ name, args }) => ({ name, args }));
+    }
+    return JSON.stringify({ version: EXPORT_VERSION, origin, presets }, null, 2);
+  }
+
+  /**
+   * Import presets from an export into an origin, overwriting same-named presets
+   * @returns {Promise<number>} Number of presets imported
+   */
+  async import(origin, jsonString) {
+    const parsed = JSON.parse(jsonString);
+    const presets = parsed?.presets;
+    if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+      throw new Error('Invalid preset file: missing "presets" object');
+    }
+
+    let count = 0;
+    for (const [toolName, entries] of Object.entries(presets)) {
+      if (!Array.isArray(entries)) continue;
+      for (const entry of entries) {
+        if (!entry || typeof entry.name !== 'string') continue;
+        await this.save(origin, toolName, entry.name, entry.args ?? {});
+        count += 1;
+      }
+    }
+    return count;
+  }
+}
+
+const presetStore = new PresetStore();
+export default presetStore;
+export { PresetStore };
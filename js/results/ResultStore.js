@@ -0,0 +1,142 @@
+/**
+ * WebMCP Inspector - Result Store
+ * Large tool results in IndexedDB, kept as JSON text chunks and referenced by id
+ */
+
+const DB_NAME = 'webmcp_results_v1';
+const DB_VERSION = 1;
+const META_STORE = 'results';
+const CHUNK_STORE = 'chunks';
+const MAX_STORED_RESULTS = 20;
+const CHUNK_CHARS = 256 * 1024;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+class ResultStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+          db.createObjectStore(CHUNK_STORE, { keyPath: ['id', 'index'] });
+        }
+      };
+      this.dbPromise = requestToPromise(request).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async putChunk(id, index, text) {
+    const db = await this.open();
+    const transaction = db.transaction(CHUNK_STORE, 'readwrite');
+    transaction.objectStore(CHUNK_STORE).put({ id, index, text });
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Record a result once all its chunks are written, then drop the oldest beyond the cap
+   * @param {{id: string, size: number, chunkCount: number, tool?: string}} meta
+   */
+  async saveMeta(meta) {
+    const db = await this.open();
+    const record = { ...meta, createdAt: new Date().toISOString() };
+    const transaction = db.transaction(META_STORE, 'readwrite');
+    transaction.objectStore(META_STORE).put(record);
+    await transactionDone(transaction);
+    await this.prune();
+    return record;
+  }
+
+  /**
+   * Store a JSON text that is already in memory, chunked like results pulled from a frame
+   * @param {string} text - JSON text
+   * @param {{tool?: string}} meta
+   * @returns {Promise<Object>} Result reference
+   */
+  async saveText(text, meta = {}) {
+    const id = `r_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    const chunkCount = Math.max(1, Math.ceil(text.length / CHUNK_CHARS));
+    try {
+      for (let index = 0; index < chunkCount; index += 1) {
+        await this.putChunk(id, index, text.slice(index * CHUNK_CHARS, (index + 1) * CHUNK_CHARS));
+      }
+      return await this.saveMeta({ ...meta, id, size: text.length, chunkCount });
+    } catch (error) {
+      await this.remove(id).catch(() => {});
+      throw error;
+    }
+  }
+
+  async getMeta(id) {
+    const db = await this.open();
+    return requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(id));
+  }
+
+  async getChunk(id, index) {
+    const db = await this.open();
+    const chunk = await requestToPromise(db.transaction(CHUNK_STORE).objectStore(CHUNK_STORE).get([id, index]));
+    if (!chunk) throw new Error(`Stored result ${id} is missing chunk ${index}`);
+    return chunk.text;
+  }
+
+  /**
+   * Full JSON text of a stored result
+   */
+  async readText(id) {
+    const meta = await this.getMeta(id);
+    if (!meta) throw new Error(`Stored result ${id} not found (it may have been pruned)`);
+    const chunks = [];
+    for (let index = 0; index < meta.chunkCount; index += 1) {
+      chunks.push(await this.getChunk(id, index));
+    }
+    return chunks.join('');
+  }
+
+  async read(id) {
+    return JSON.parse(await this.readText(id));
+  }
+
+  async remove(id) {
+    const db = await this.open();
+    const transaction = db.transaction([META_STORE, CHUNK_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).delete(id);
+    transaction.objectStore(CHUNK_STORE).delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+    await transactionDone(transaction);
+  }
+
+  async prune(maxResults = MAX_STORED_RESULTS) {
+    const db = await this.open();
+    const all = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).index('createdAt').getAll());
+    for (const meta of all.slice(0, Math.max(0, all.length - maxResults))) {
+      await this.remove(meta.id);
+    }
+  }
+}
+
+const resultStore = new ResultStore();
+export default resultStore;
+export { ResultStore };
@@ -0,0 +1,126 @@
+/**
+ * Declarative tool form checks.
+ * Compares a form's named controls with the inputSchema the browser derives from it,
+ * after inlining local $refs the same way every other schema consumer does.
+ */
+
+import { dereferenceSchema } from './resolver.js';
+
+// Form control attribute -> inputSchema keyword the browser should propagate it to.
+const FORM_CONSTRAINT_KEYWORDS = [
+  { key: 'pattern', attribute: 'pattern', keyword: 'pattern', numeric: false },
+  { key: 'min', attribute: 'min', keyword: 'minimum', numeric: true },
+  { key: 'max', attribute: 'max', keyword: 'maximum', numeric: true },
+  { key: 'minLength', attribute: 'minlength', keyword: 'minLength', numeric: true },
+  { key: 'maxLength', attribute: 'maxlength', keyword: 'maxLength', numeric: true }
+];
+
+function schemaPointer(name) {
+  return `/properties/${String(name).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Allowed values a property schema declares (enum, const alternatives, or array items).
+ */
+function getSchemaChoices(property) {
+  if (!property || typeof property !== 'object') return null;
+  if (Array.isArray(property.enum)) return property.enum.map(String);
+
+  const alternatives = Array.isArray(property.oneOf) ? property.oneOf : property.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0 && alternatives.every((entry) => entry && 'const' in entry)) {
+    return alternatives.map((entry) => String(entry.const));
+  }
+
+  if (property.items && typeof property.items === 'object') {
+    return getSchemaChoices(property.items);
+  }
+  return null;
+}
+
+/**
+ * Compare a declarative tool's form, as described by the content script, with the
+ * inputSchema the browser reports for it.
+ * @param {Object} form - DESCRIBE_TOOL_FORM description ({ found, fields })
+ * @param {Object} rawSchema - Tool inputSchema
+ * @returns {Array<{severity: string, rule: string, path: string, field: string|null, message: string}>}
+ */
+export function checkFormSchemaConsistency(form, rawSchema) {
+  const schema = dereferenceSchema(rawSchema);
+  const issues = [];
+  // `field` names the form control to highlight; null when the form has none.
+  const add = (severity, rule, name, message, field = name) => {
+    issues.push({ severity, rule, path: schemaPointer(name), field, message });
+  };
+
+  const properties = schema?.properties && typeof schema.properties === 'object' ? schema.properties : {};
+  const required = new Set(Array.isArray(schema?.required) ? schema.required : []);
+  const fields = Array.isArray(form?.fields) ? form.fields : [];
+  const controls = new Set(fields.map((field) => field.name));
+
+  for (const field of fields) {
+    const { name } = field;
+    const property = properties[name];
+
+    if (!Object.prototype.hasOwnProperty.call(properties, name)) {
+      add(
+        field.type === 'hidden' ? 'warning' : 'error',
+        'form-control-not-in-schema',
+        name,
+        `Form control "${name}" (${field.type}) is missing from inputSchema`
+      );
+      continue;
+    }
+
+    if (field.required !== required.has(name)) {
+      add(
+        'error',
+        'form-required-mismatch',
+        name,
+        field.required
+          ? `"${name}" is required in the form but not listed in inputSchema.required`
+          : `"${name}" is listed in inputSchema.required but the form control is optional`
+      );
+    }
+
+    if (Array.isArray(field.options)) {
+      const optionValues = field.options.map((option) => option.value);
+      const choices = getSchemaChoices(property);
+      if (!choices) {
+        add('warning', 'form-options-not-in-schema', name, `"${name}" has ${optionValues.length} options but the schema declares no enum`);
+      } else {
+        const missing = optionValues.filter((value) => !choices.includes(value));
+        const extra = choices.filter((value) => !optionValues.includes(value));
+        if (missing.length > 0 || extra.length > 0) {
+          const parts = [];
+          if (missing.length > 0) parts.push(`options missing from enum: ${missing.join(', ')}`);
+          if (extra.length > 0) parts.push(`enum values with no option: ${extra.join(', ')}`);
+          add('error', 'form-enum-mismatch', name, `"${name}" ${parts.join('; ')}`);
+        }
+      }
+    }
+
+    const target = field.multiple && property?.items && typeof property.items === 'object' ? property.items : property;
+    for (const { key, attribute, keyword, numeric } of FORM_CONSTRAINT_KEYWORDS) {
+      const attributeValue = field[key];
+      if (attributeValue === null || attributeValue === undefined) continue;
+      // min/max on date and time inputs are strings, not numeric bounds.
+      if (numeric && (keyword === 'minimum' || keyword === 'maximum') && !['number', 'range'].includes(field.type)) continue;
+
+      const schemaValue = target?.[keyword];
+      const matches = numeric ? Number(schemaValue) === Number(attributeValue) : schemaValue === attributeValue;
+      if (schemaValue === undefined) {
+        add('warning', 'form-constraint-not-propagated', name, `"${name}" ${attribute}="${attributeValue}" is not reflected as "${keyword}" in inputSchema`);
+      } else if (!matches) {
+        add('warning', 'form-constraint-mismatch', name, `"${name}" ${attribute}="${attributeValue}" but inputSchema ${keyword} is ${JSON.stringify(schemaValue)}`);
+      }
+    }
+  }
+
+  for (const name of Object.keys(properties)) {
+    if (!controls.has(name)) {
+      add('error', 'schema-property-without-control', name, `inputSchema property "${name}" has no named control in the form`, null);
+    }
+  }
+
+  return issues;
+}
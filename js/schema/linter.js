@@ -0,0 +1,170 @@
+/**
+ * WebMCP tool quality checks.
+ * Flags descriptions, schemas, names and annotations that make tools hard for
+ * agents to use, grouped by severity for a pre-release report.
+ */
+
+import { dereferenceSchema } from './resolver.js';
+import { validateAgainstSchema } from './validator.js';
+
+export const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+const MIN_DESCRIPTION_LENGTH = 20;
+
+const PROVIDER_NAME_RULES = [
+  { provider: 'OpenAI', pattern: /^[a-zA-Z0-9_-]{1,64}$/ },
+  { provider: 'Anthropic', pattern: /^[a-zA-Z0-9_-]{1,64}$/ },
+  { provider: 'Gemini', pattern: /^[a-zA-Z_][a-zA-Z0-9_.:-]{0,63}$/ }
+];
+
+const TYPE_KEYWORDS = ['type', 'enum', 'const', '$ref', 'anyOf', 'oneOf', 'allOf'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseSchema(schema) {
+  if (typeof schema === 'string') {
+    try {
+      return JSON.parse(schema);
+    } catch {
+      return null;
+    }
+  }
+  return schema ?? { type: 'object', properties: {} };
+}
+
+function pointer(path, ...segments) {
+  return segments.reduce(
+    (out, segment) => `${out}/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`,
+    path
+  );
+}
+
+function lintProperty(schema, path, add) {
+  if (!isPlainObject(schema)) return;
+
+  if (!TYPE_KEYWORDS.some((keyword) => schema[keyword] !== undefined) && !schema.properties && !schema.items) {
+    add('warning', 'untyped-property', path, 'Property has no type');
+  }
+
+  if (schema.default !== undefined) {
+    if (Array.isArray(schema.enum) && !schema.enum.some((entry) => JSON.stringify(entry) === JSON.stringify(schema.default))) {
+      add('error', 'enum-default-mismatch', path, `Default ${JSON.stringify(schema.default)} is not one of the enum values`);
+    } else {
+      const { errors } = validateAgainstSchema(schema, schema.default);
+      if (errors.length > 0) {
+        add('error', 'invalid-default', path, `Default ${JSON.stringify(schema.default)} does not match the schema: ${errors[0].message}`);
+      }
+    }
+  }
+
+  lintObjectSchema(schema, path, add);
+
+  if (isPlainObject(schema.items)) {
+    lintObjectSchema(schema.items, pointer(path, 'items'), add);
+  }
+}
+
+function lintObjectSchema(schema, path, add) {
+  if (!isPlainObject(schema.properties)) return;
+
+  const propertyNames = Object.keys(schema.properties);
+  if (propertyNames.length > 0 && !Array.isArray(schema.required)) {
+    add('info', 'missing-required', path || '/', 'Schema has properties but no "required" list');
+  }
+
+  if (Array.isArray(schema.required)) {
+    for (const name of schema.required) {
+      if (!propertyNames.includes(name)) {
+        add('error', 'unknown-required', path || '/', `"required" lists "${name}", which is not a declared property`);
+      }
+    }
+  }
+
+  for (const [name, child] of Object.entries(schema.properties)) {
+    const childPath = pointer(path, 'properties', name);
+    if (isPlainObject(child) && !String(child.description || '').trim()) {
+      add('warning', 'property-description-missing', childPath, `Property "${name}" has no description`);
+    }
+    lintProperty(child, childPath, add);
+  }
+}
+
+/**
+ * Lint a single tool
+ * @param {Object} tool - Normalized tool ({ name, description, inputSchema, annotations, formIssues })
+ * @param {Object} context - { duplicateNames: Set<string> }
+ * @returns {Array<{tool: string, severity: string, rule: string, path: string, message: string}>}
+ */
+export function lintTool(tool, context = {}) {
+  const toolName = String(tool?.name || '');
+  const findings = [];
+  const add = (severity, rule, path, message) => {
+    findings.push({ tool: toolName, severity, rule, path, message });
+  };
+
+  const description = String(tool?.description || '').trim();
+  if (!description) {
+    add('error', 'description-missing', '', 'Tool has no description');
+  } else if (description.length < MIN_DESCRIPTION_LENGTH) {
+    add('warning', 'description-short', '', `Description is shorter than ${MIN_DESCRIPTION_LENGTH} characters`);
+  }
+
+  if (context.duplicateNames?.has(toolName)) {
+    add('error', 'duplicate-name', '', `Another tool on this page is also named "${toolName}"`);
+  }
+
+  for (const rule of PROVIDER_NAME_RULES) {
+    if (!rule.pattern.test(toolName)) {
+      add('error', 'provider-name-rule', '', `Name violates ${rule.provider} tool name rule ${rule.pattern.source}`);
+    }
+  }
+
+  if (typeof tool?.annotations?.readOnlyHint !== 'boolean') {
+    add('warning', 'read-only-hint-missing', '', 'annotations.readOnlyHint is not set');
+  }
+
+  // Declarative tools carry form/schema mismatches found when the side panel received them.
+  if (Array.isArray(tool?.formIssues)) {
+    for (const issue of tool.formIssues) {
+      add(LINT_SEVERITIES.includes(issue.severity) ? issue.severity : 'warning', issue.rule, issue.path || '', issue.message);
+    }
+  }
+
+  const rawSchema = parseSchema(tool?.inputSchema);
+  if (!isPlainObject(rawSchema)) {
+    add('error', 'schema-invalid', '/', 'inputSchema is not a JSON object');
+    return findings;
+  }
+
+  const schema = dereferenceSchema(rawSchema);
+  if (schema.type !== undefined && schema.type !== 'object') {
+    add('error', 'schema-root-type', '/', `inputSchema root type is "${schema.type}"; providers expect "object"`);
+  }
+
+  lintObjectSchema(schema, '', add);
+  return findings;
+}
+
+/**
+ * Lint every tool on a page, including cross-tool checks such as duplicate names
+ * @param {Array} tools - Normalized tools
+ * @returns {Array} Findings sorted by severity, then tool name
+ */
+export function lintTools(tools = []) {
+  const seen = new Set();
+  const duplicateNames = new Set();
+  for (const tool of tools) {
+    const name = String(tool?.name || '');
+    if (seen.has(name)) duplicateNames.add(name);
+    seen.add(name);
+  }
+
+  return tools
+    .flatMap((tool) => lintTool(tool, { duplicateNames }))
+    .sort((a, b) => (
+      LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity) ||
+      a.tool.localeCompare(b.tool)
+    ));
+}
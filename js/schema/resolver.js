@@ -0,0 +1,146 @@
+/**
+ * JSON Schema reference resolution shared by every schema consumer.
+ * Inlines local $ref targets ($defs / definitions) so template generation,
+ * normalization, form rendering and provider formatting see plain schemas.
+ */
+
+const SUBSCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', 'dependentSchemas', 'definitions', '$defs'];
+const SUBSCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SUBSCHEMA_KEYWORDS = [
+  'items',
+  'additionalItems',
+  'additionalProperties',
+  'unevaluatedProperties',
+  'unevaluatedItems',
+  'contains',
+  'propertyNames',
+  'not',
+  'if',
+  'then',
+  'else'
+];
+const DEFINITION_KEYWORDS = ['$defs', 'definitions'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Resolve a local JSON pointer reference ("#", "#/$defs/Name", "#/definitions/Name").
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference string
+ * @returns {Object|boolean|null} Target schema, or null when unresolvable
+ */
+export function resolveLocalRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+
+  const pointer = ref.slice(1);
+  if (pointer === '' || pointer === '/') return root;
+  if (!pointer.startsWith('/')) return null;
+
+  let target = root;
+  for (const rawSegment of pointer.slice(1).split('/')) {
+    let segment;
+    try {
+      segment = decodeURIComponent(rawSegment).replace(/~1/g, '/').replace(/~0/g, '~');
+    } catch {
+      return null;
+    }
+    if (!target || typeof target !== 'object' || !Object.prototype.hasOwnProperty.call(target, segment)) {
+      return null;
+    }
+    target = target[segment];
+  }
+
+  return target && (typeof target === 'object' || typeof target === 'boolean') ? target : null;
+}
+
+function refName(ref) {
+  const segments = ref.split('/');
+  return segments[segments.length - 1] || 'root';
+}
+
+/**
+ * Placeholder used where a recursive reference is cut off.
+ */
+function recursionStub(target, ref) {
+  const stub = {};
+  if (isPlainObject(target) && target.type !== undefined) {
+    stub.type = target.type;
+  }
+  stub.description = `Recursive reference to ${refName(ref)} (not expanded further)`;
+  return stub;
+}
+
+function dereferenceNode(schema, context, stack) {
+  if (!isPlainObject(schema)) return schema;
+
+  let current = schema;
+  let activeStack = stack;
+
+  // Follow $ref chains, merging sibling keywords over the target.
+  while (typeof current.$ref === 'string') {
+    const ref = current.$ref;
+    const target = resolveLocalRef(context.root, ref);
+    if (target === null) {
+      // Remote or broken refs are left for the consumer to report.
+      break;
+    }
+
+    const { $ref, ...siblings } = current;
+    const depth = activeStack.filter((entry) => entry === ref).length;
+    if (depth >= context.maxRecursion) {
+      for (const keyword of DEFINITION_KEYWORDS) {
+        delete siblings[keyword];
+      }
+      return { ...recursionStub(target, ref), ...siblings };
+    }
+
+    activeStack = [...activeStack, ref];
+    current = target === true ? { ...siblings } : target === false ? { not: {}, ...siblings } : { ...target, ...siblings };
+  }
+
+  const out = {};
+  for (const [key, value] of Object.entries(current)) {
+    if (DEFINITION_KEYWORDS.includes(key)) continue;
+
+    if (SUBSCHEMA_MAP_KEYWORDS.includes(key) && isPlainObject(value)) {
+      out[key] = {};
+      for (const [name, child] of Object.entries(value)) {
+        out[key][name] = dereferenceNode(child, context, activeStack);
+      }
+    } else if (SUBSCHEMA_LIST_KEYWORDS.includes(key) && Array.isArray(value)) {
+      out[key] = value.map((child) => dereferenceNode(child, context, activeStack));
+    } else if (key === 'items' && Array.isArray(value)) {
+      out[key] = value.map((child) => dereferenceNode(child, context, activeStack));
+    } else if (SUBSCHEMA_KEYWORDS.includes(key) && isPlainObject(value)) {
+      out[key] = dereferenceNode(value, context, activeStack);
+    } else if (key === 'dependencies' && isPlainObject(value)) {
+      out[key] = {};
+      for (const [name, child] of Object.entries(value)) {
+        out[key][name] = Array.isArray(child) ? child : dereferenceNode(child, context, activeStack);
+      }
+    } else {
+      out[key] = value;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Inline every local $ref in a schema and drop the $defs / definitions tables.
+ * Recursive references are expanded up to `maxRecursion` times along a path
+ * and then replaced by a typed stub, so the result is always finite.
+ * @param {Object} schema - Root schema
+ * @param {Object} options - { maxRecursion = 1 }
+ * @returns {Object} Dereferenced copy of the schema
+ */
+export function dereferenceSchema(schema, options = {}) {
+  if (!isPlainObject(schema)) return schema;
+
+  const maxRecursion = Number.isInteger(options.maxRecursion) && options.maxRecursion > 0
+    ? options.maxRecursion
+    : 1;
+  return dereferenceNode(schema, { root: schema, maxRecursion }, []);
+}
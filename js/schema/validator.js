@@ -0,0 +1,416 @@
+/**
+ * JSON Schema validator for tool inputs.
+ * Covers the draft 2020-12 validation vocabulary used by tool schemas and
+ * reports every failure with the instance path it applies to.
+ */
+
+import { resolveLocalRef } from './resolver.js';
+
+const FORMAT_CHECKS = {
+  date: (value) => isValidDate(value),
+  'date-time': (value) => {
+    const match = /^(\d{4}-\d{2}-\d{2})[Tt ](\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.exec(value);
+    return !!match && isValidDate(match[1]) && isValidTime(match[2], match[3], match[4]);
+  },
+  time: (value) => {
+    const match = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.exec(value);
+    return !!match && isValidTime(match[1], match[2], match[3]);
+  },
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  hostname: (value) =>
+    value.length <= 253 &&
+    /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(value),
+  ipv4: (value) =>
+    /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/.test(value),
+  ipv6: (value) => {
+    if (!/^[0-9a-f:.]+$/i.test(value) || (value.match(/::/g) || []).length > 1) return false;
+    try {
+      return new URL(`http://[${value}]`).hostname.length > 0;
+    } catch {
+      return false;
+    }
+  },
+  uri: (value) => isAbsoluteUri(value),
+  url: (value) => isAbsoluteUri(value),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  regex: (value) => {
+    try {
+      new RegExp(value, 'u');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+function isValidDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isValidTime(hours, minutes, seconds) {
+  return Number(hours) <= 23 && Number(minutes) <= 59 && Number(seconds) <= 60;
+}
+
+function isAbsoluteUri(value) {
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(value)) return false;
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => deepEqual(a[key], b[key]));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return true;
+  }
+}
+
+function formatPath(path) {
+  if (path.length === 0) return '/';
+  return `/${path.map((segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+}
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+function compilePattern(pattern, context) {
+  if (context.patterns.has(pattern)) return context.patterns.get(pattern);
+
+  let regex = null;
+  try {
+    regex = new RegExp(pattern, 'u');
+  } catch {
+    try {
+      regex = new RegExp(pattern);
+    } catch {
+      regex = null;
+    }
+  }
+  context.patterns.set(pattern, regex);
+  return regex;
+}
+
+function isValid(schema, value, path, context) {
+  return validateNode(schema, value, path, context).length === 0;
+}
+
+function validateNode(schema, value, path, context) {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) {
+    return [{ path: formatPath(path), keyword: 'false', message: 'No value is allowed here' }];
+  }
+  if (!isPlainObject(schema)) return [];
+
+  const errors = [];
+  const add = (keyword, message, at = path) => {
+    errors.push({ path: formatPath(at), keyword, message });
+  };
+
+  if (typeof schema.$ref === 'string') {
+    // A ref revisited at the same instance path is a cycle that cannot consume input.
+    const refKey = `${schema.$ref}@${formatPath(path)}`;
+    if (!context.activeRefs.has(refKey)) {
+      const target = resolveLocalRef(context.root, schema.$ref);
+      if (target === null) {
+        add('$ref', `Cannot resolve schema reference ${schema.$ref}`);
+      } else {
+        context.activeRefs.add(refKey);
+        errors.push(...validateNode(target, value, path, context));
+        context.activeRefs.delete(refKey);
+      }
+    }
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      add('type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => deepEqual(option, value))) {
+    add('enum', `Must be one of: ${schema.enum.map(describeValue).join(', ')}`);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(schema, 'const') && !deepEqual(schema.const, value)) {
+    add('const', `Must equal ${describeValue(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    validateNumber(schema, value, add);
+  } else if (typeof value === 'string') {
+    validateString(schema, value, add, context);
+  } else if (Array.isArray(value)) {
+    validateArray(schema, value, path, context, errors, add);
+  } else if (isPlainObject(value)) {
+    validateObject(schema, value, path, context, errors, add);
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateNode(subschema, value, path, context));
+    }
+  }
+
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+    if (!schema.anyOf.some((subschema) => isValid(subschema, value, path, context))) {
+      add('anyOf', `Does not match any of the ${schema.anyOf.length} anyOf alternatives`);
+    }
+  }
+
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length > 0) {
+    const matches = schema.oneOf.filter((subschema) => isValid(subschema, value, path, context)).length;
+    if (matches === 0) {
+      add('oneOf', `Does not match any of the ${schema.oneOf.length} oneOf alternatives`);
+    } else if (matches > 1) {
+      add('oneOf', `Matches ${matches} oneOf alternatives; exactly one is required`);
+    }
+  }
+
+  if (schema.not !== undefined && isValid(schema.not, value, path, context)) {
+    add('not', 'Must not match the "not" schema');
+  }
+
+  if (schema.if !== undefined) {
+    const branch = isValid(schema.if, value, path, context) ? schema.then : schema.else;
+    if (branch !== undefined) {
+      errors.push(...validateNode(branch, value, path, context));
+    }
+  }
+
+  return errors;
+}
+
+function validateNumber(schema, value, add) {
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      add('multipleOf', `Must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof schema.maximum === 'number') {
+    // Draft 4 expressed exclusivity as a boolean next to maximum/minimum.
+    if (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum) {
+      add('maximum', `Must be ${schema.exclusiveMaximum === true ? '<' : '<='} ${schema.maximum}`);
+    }
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    add('exclusiveMaximum', `Must be < ${schema.exclusiveMaximum}`);
+  }
+  if (typeof schema.minimum === 'number') {
+    if (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum) {
+      add('minimum', `Must be ${schema.exclusiveMinimum === true ? '>' : '>='} ${schema.minimum}`);
+    }
+  }
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    add('exclusiveMinimum', `Must be > ${schema.exclusiveMinimum}`);
+  }
+}
+
+function validateString(schema, value, add, context) {
+  const length = [...value].length;
+  if (typeof schema.minLength === 'number' && length < schema.minLength) {
+    add('minLength', `Must be at least ${schema.minLength} characters`);
+  }
+  if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+    add('maxLength', `Must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof schema.pattern === 'string') {
+    const regex = compilePattern(schema.pattern, context);
+    if (regex && !regex.test(value)) {
+      add('pattern', `Must match pattern ${schema.pattern}`);
+    }
+  }
+
+  const checkFormat = FORMAT_CHECKS[schema.format];
+  if (checkFormat && !checkFormat(value)) {
+    add('format', `Must be a valid ${schema.format}`);
+  }
+}
+
+function validateArray(schema, value, path, context, errors, add) {
+  // Draft 2019 and earlier spelled tuples as an items array plus additionalItems.
+  const prefixItems = Array.isArray(schema.prefixItems)
+    ? schema.prefixItems
+    : Array.isArray(schema.items) ? schema.items : [];
+  const restSchema = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+
+  value.forEach((item, index) => {
+    const itemSchema = index < prefixItems.length ? prefixItems[index] : restSchema;
+    if (itemSchema !== undefined) {
+      errors.push(...validateNode(itemSchema, item, [...path, index], context));
+    }
+  });
+
+  if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+    add('minItems', `Must have at least ${schema.minItems} items`);
+  }
+  if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+    add('maxItems', `Must have at most ${schema.maxItems} items`);
+  }
+
+  if (schema.uniqueItems === true) {
+    for (let i = 0; i < value.length; i += 1) {
+      const duplicateIndex = value.findIndex((other, j) => j > i && deepEqual(value[i], other));
+      if (duplicateIndex !== -1) {
+        add('uniqueItems', `Items ${i} and ${duplicateIndex} are identical`);
+        break;
+      }
+    }
+  }
+
+  if (schema.contains !== undefined) {
+    const matches = value.filter((item, index) => isValid(schema.contains, item, [...path, index], context)).length;
+    const minContains = typeof schema.minContains === 'number' ? schema.minContains : 1;
+    if (matches < minContains) {
+      add('contains', `Must contain at least ${minContains} matching item${minContains === 1 ? '' : 's'}`);
+    }
+    if (typeof schema.maxContains === 'number' && matches > schema.maxContains) {
+      add('maxContains', `Must contain at most ${schema.maxContains} matching items`);
+    }
+  }
+}
+
+function validateObject(schema, value, path, context, errors, add) {
+  const keys = Object.keys(value);
+  const properties = isPlainObject(schema.properties) ? schema.properties : {};
+  const patternProperties = isPlainObject(schema.patternProperties) ? schema.patternProperties : {};
+
+  if (Array.isArray(schema.required)) {
+    for (const key of schema.required) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        add('required', `Missing required property "${key}"`, [...path, key]);
+      }
+    }
+  }
+
+  for (const key of keys) {
+    const childPath = [...path, key];
+    let evaluated = false;
+
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      evaluated = true;
+      errors.push(...validateNode(properties[key], value[key], childPath, context));
+    }
+
+    for (const [pattern, patternSchema] of Object.entries(patternProperties)) {
+      const regex = compilePattern(pattern, context);
+      if (regex && regex.test(key)) {
+        evaluated = true;
+        errors.push(...validateNode(patternSchema, value[key], childPath, context));
+      }
+    }
+
+    if (!evaluated && schema.additionalProperties !== undefined) {
+      if (schema.additionalProperties === false) {
+        add('additionalProperties', `Property "${key}" is not allowed`, childPath);
+      } else {
+        errors.push(...validateNode(schema.additionalProperties, value[key], childPath, context));
+      }
+    }
+
+    if (schema.propertyNames !== undefined && !isValid(schema.propertyNames, key, childPath, context)) {
+      add('propertyNames', `Property name "${key}" is not allowed`, childPath);
+    }
+  }
+
+  if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+    add('minProperties', `Must have at least ${schema.minProperties} properties`);
+  }
+  if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+    add('maxProperties', `Must have at most ${schema.maxProperties} properties`);
+  }
+
+  // Draft 7 "dependencies" mixes both dependentRequired and dependentSchemas forms.
+  const dependencies = isPlainObject(schema.dependencies) ? schema.dependencies : {};
+  const dependentRequired = { ...(isPlainObject(schema.dependentRequired) ? schema.dependentRequired : {}) };
+  const dependentSchemas = { ...(isPlainObject(schema.dependentSchemas) ? schema.dependentSchemas : {}) };
+  for (const [key, dependency] of Object.entries(dependencies)) {
+    if (Array.isArray(dependency)) {
+      dependentRequired[key] = dependency;
+    } else {
+      dependentSchemas[key] = dependency;
+    }
+  }
+
+  for (const [key, requiredKeys] of Object.entries(dependentRequired)) {
+    if (!Object.prototype.hasOwnProperty.call(value, key) || !Array.isArray(requiredKeys)) continue;
+    for (const requiredKey of requiredKeys) {
+      if (!Object.prototype.hasOwnProperty.call(value, requiredKey)) {
+        add('dependentRequired', `Property "${requiredKey}" is required when "${key}" is present`, [...path, requiredKey]);
+      }
+    }
+  }
+
+  for (const [key, dependentSchema] of Object.entries(dependentSchemas)) {
+    if (Object.prototype.hasOwnProperty.call(value, key)) {
+      errors.push(...validateNode(dependentSchema, value, path, context));
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @param {Object|boolean} schema - Root schema
+ * @param {*} value - Instance to validate
+ * @returns {{valid: boolean, errors: Array<{path: string, keyword: string, message: string}>}}
+ */
+export function validateAgainstSchema(schema, value) {
+  const context = {
+    root: schema,
+    activeRefs: new Set(),
+    patterns: new Map()
+  };
+  const errors = validateNode(schema, value, [], context);
+  return { valid: errors.length === 0, errors };
+}
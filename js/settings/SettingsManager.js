@@ -18,10 +18,22 @@ const DEFAULT_SETTINGS = {
     theme: 'system',
     autoOpen: true,
     notifications: true,
-    language: 'en'
+    language: 'en',
+    // Per-call tool execution timeout; 0 waits indefinitely
+    toolTimeoutMs: 30000,
+    // How much of a tool result the content script serializes back to the panel
+    resultLimits: {
+      maxDepth: 12,
+      maxEntries: 1000,
+      maxStringLength: 100000
+    }
   },
   ai: {
     defaultProvider: 'gemini',
+    // Approval policy for AI-initiated tool calls: 'always' | 'non-read-only' | 'auto'
+    toolApproval: 'non-read-only',
+    // Characters of each tool result sent back to the model; 0 sends results whole
+    toolResultBudget: 20000,
     providers: {
       gemini: {
         enabled: false,
@@ -52,6 +64,8 @@ const DEFAULT_SETTINGS = {
           temperature: 0.7,
           maxTokens: 2048,
           organization: '',
+          // Declare tools with `strict: true` (structured outputs) using sanitized schemas
+          strictSchemas: false,
           systemPrompt: 'You are an AI assistant helping users with WebMCP tools.'
         },
         models: [
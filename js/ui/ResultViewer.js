@@ -0,0 +1,853 @@
+/**
+ * WebMCP Inspector - Result Viewer
+ * Renders tool results as MCP content blocks, a collapsible JSON tree, a table or raw JSON
+ */
+
+const VIEWS = ['content', 'tree', 'table', 'raw'];
+const VIEW_LABELS = { content: 'Content', tree: 'Tree', table: 'Table', raw: 'Raw' };
+
+// Children rendered per "Show more" step in the tree and the table
+const PAGE_SIZE = 100;
+const MAX_TABLE_COLUMNS = 30;
+const MAX_SEARCH_MATCHES = 500;
+const CELL_PREVIEW_LENGTH = 80;
+
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isContainer(value) {
+  return !!value && typeof value === 'object';
+}
+
+/**
+ * JSONPath-style accessor for a child, e.g. `$.items[3]["display name"]`
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return IDENTIFIER_PATTERN.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function entriesOf(value) {
+  return Array.isArray(value) ? value.map((entry, index) => [index, entry]) : Object.entries(value);
+}
+
+function preview(value, maxLength = CELL_PREVIEW_LENGTH) {
+  const tagged = getResultTag(value) ? formatTaggedValue(value) : null;
+  const text = tagged ?? (typeof value === 'string' ? value : JSON.stringify(value) ?? String(value));
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function formatChars(count) {
+  if (count >= 1024 * 1024) return `${(count / (1024 * 1024)).toFixed(1)}M chars`;
+  if (count >= 1024) return `${Math.round(count / 1024)}K chars`;
+  return `${count} chars`;
+}
+
+function safeHref(url) {
+  try {
+    const parsed = new URL(url);
+    return SAFE_LINK_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tool results often arrive as JSON text; show the parsed structure when they do.
+ */
+function normalizeResult(value) {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return value;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return value;
+  }
+}
+
+function isMcpContent(value) {
+  return isPlainObject(value) && Array.isArray(value.content) && value.content.length > 0 &&
+    value.content.every((block) => isPlainObject(block) && typeof block.type === 'string');
+}
+
+/**
+ * The rows a table view shows: the value itself, or its first array-of-objects property.
+ */
+function findTableRows(value) {
+  const isRows = (candidate) => Array.isArray(candidate) && candidate.length > 0 && candidate.every(isPlainObject);
+  if (isRows(value)) return { path: '$', rows: value };
+  if (isPlainObject(value)) {
+    for (const [key, entry] of Object.entries(value)) {
+      if (isRows(entry)) return { path: childPath('$', key), rows: entry };
+    }
+  }
+  return null;
+}
+
+// Tags the content script and page hook put on values JSON cannot carry
+const LEAF_TAGS = new Set([
+  'undefined', 'BigInt', 'Number', 'Symbol', 'Function', 'Date', 'RegExp', 'Circular',
+  'MaxDepth', 'Element', 'Node', 'TruncatedString', 'Truncated', 'DataView'
+]);
+const TYPED_ARRAY_TAG_PATTERN = /^(Big)?(Int|Uint|Float)(8|16|32|64)(Clamped)?Array$/;
+
+function getResultTag(value) {
+  if (!isPlainObject(value) || typeof value.$type !== 'string') return null;
+  const tag = value.$type;
+  if (LEAF_TAGS.has(tag)) return tag;
+  if (tag === 'Error') return typeof value.message === 'string' ? tag : null;
+  if (tag === 'Instance' || tag === 'Object') return isPlainObject(value.value) ? tag : null;
+  if (tag === 'Map') return Array.isArray(value.entries) ? tag : null;
+  if (tag === 'Set' || tag === 'ArrayBuffer' || TYPED_ARRAY_TAG_PATTERN.test(tag)) {
+    return Array.isArray(value.values) ? tag : null;
+  }
+  return null;
+}
+
+/**
+ * One-line label for a tagged value, e.g. `Map(3)`, `TypeError: bad input`, `12n`.
+ */
+function formatTaggedValue(value) {
+  switch (value.$type) {
+    case 'undefined': return 'undefined';
+    case 'BigInt': return `${value.value}n`;
+    case 'Number': return String(value.value);
+    case 'Symbol': return `Symbol(${value.description})`;
+    case 'Function': return `ƒ ${value.name}()`;
+    case 'Date': return `Date ${value.value}`;
+    case 'RegExp': return `/${value.source}/${value.flags}`;
+    case 'Circular': return '[Circular]';
+    case 'MaxDepth': return `${value.className} (depth limit reached)`;
+    case 'Element': return `<${value.selector}>${value.text ? ` "${value.text}"` : ''}`;
+    case 'Node': return `${value.nodeName}${value.text ? ` "${value.text}"` : ''}`;
+    case 'TruncatedString': return `${JSON.stringify(value.value)}… (${value.length} chars)`;
+    case 'Truncated': return `… ${value.remaining} more items not serialized`;
+    case 'DataView': return `DataView(${value.byteLength} bytes)`;
+    case 'Map':
+    case 'Set': return `${value.$type}(${value.size})`;
+    case 'ArrayBuffer': return `ArrayBuffer(${value.byteLength} bytes)`;
+    case 'Error': return `${value.name}: ${value.message}`;
+    case 'Instance': return `${value.className} {…}`;
+    case 'Object': return '{…}';
+    default: return `${value.$type}(${value.length})`;
+  }
+}
+
+function appendInlineMarkdown(parent, text) {
+  const pattern = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*\s][^*]*\*|\[[^\]]+\]\([^)\s]+\))/g;
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+    }
+    const token = match[0];
+    let node;
+    if (token.startsWith('`')) {
+      node = document.createElement('code');
+      node.textContent = token.slice(1, -1);
+    } else if (token.startsWith('**')) {
+      node = document.createElement('strong');
+      node.textContent = token.slice(2, -2);
+    } else if (token.startsWith('*')) {
+      node = document.createElement('em');
+      node.textContent = token.slice(1, -1);
+    } else {
+      const [, label, url] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      const href = safeHref(url);
+      node = href ? document.createElement('a') : document.createTextNode(token);
+      if (href) {
+        node.href = href;
+        node.target = '_blank';
+        node.rel = 'noopener noreferrer';
+        node.textContent = label;
+      }
+    }
+    parent.appendChild(node);
+    lastIndex = match.index + token.length;
+  }
+  if (lastIndex < text.length) {
+    parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+  }
+}
+
+/**
+ * Minimal markdown for text blocks: headings, fenced code, lists, paragraphs and
+ * inline code/bold/italic/links. Built as DOM nodes; page text never becomes HTML.
+ */
+function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = String(text).split(/\r?\n/);
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+    const element = document.createElement('p');
+    appendInlineMarkdown(element, paragraph.join(' '));
+    fragment.appendChild(element);
+    paragraph = [];
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (line.trim().startsWith('```')) {
+      flushParagraph();
+      list = null;
+      const code = [];
+      index += 1;
+      while (index < lines.length && !lines[index].trim().startsWith('```')) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      const pre = document.createElement('pre');
+      pre.textContent = code.join('\n');
+      fragment.appendChild(pre);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (heading) {
+      flushParagraph();
+      list = null;
+      const element = document.createElement(`h${Math.min(heading[1].length + 2, 6)}`);
+      appendInlineMarkdown(element, heading[2]);
+      fragment.appendChild(element);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'UL' : 'OL';
+      if (!list || list.tagName !== tag) {
+        list = document.createElement(tag);
+        fragment.appendChild(list);
+      }
+      const item = document.createElement('li');
+      appendInlineMarkdown(item, (bullet || numbered)[1]);
+      list.appendChild(item);
+    } else if (!line.trim()) {
+      flushParagraph();
+      list = null;
+    } else {
+      list = null;
+      paragraph.push(line.trim());
+    }
+  }
+
+  flushParagraph();
+  return fragment;
+}
+
+class ResultViewer {
+  /**
+   * @param {HTMLElement} container - Element the viewer renders into
+   * @param {Object} options - { onStatus(message, type) }
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onStatus = options.onStatus || (() => {});
+    this.value = undefined;
+    this.message = '';
+    this.largeResult = null;
+    this.view = 'tree';
+    this.query = '';
+    this.matches = new Set();
+    this.openPaths = new Set();
+
+    this.toolbar = document.createElement('div');
+    this.toolbar.className = 'result-toolbar view-toggle';
+    this.viewButtons = {};
+    for (const view of VIEWS) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-secondary btn-small';
+      button.textContent = VIEW_LABELS[view];
+      button.addEventListener('click', () => this.setView(view));
+      this.viewButtons[view] = button;
+      this.toolbar.appendChild(button);
+    }
+
+    this.searchInput = document.createElement('input');
+    this.searchInput.type = 'search';
+    this.searchInput.placeholder = 'Search result...';
+    this.searchInput.className = 'result-search';
+    this.searchInput.addEventListener('input', () => this.setQuery(this.searchInput.value));
+    this.toolbar.appendChild(this.searchInput);
+
+    this.matchLabel = document.createElement('span');
+    this.matchLabel.className = 'muted result-match-count';
+    this.toolbar.appendChild(this.matchLabel);
+
+    this.body = document.createElement('div');
+    this.body.className = 'result-body';
+
+    this.container.innerHTML = '';
+    this.container.appendChild(this.toolbar);
+    this.container.appendChild(this.body);
+    this.clear();
+  }
+
+  clear() {
+    this.showMessage('');
+  }
+
+  /**
+   * Show plain text (errors, validation messages) instead of a result.
+   */
+  showMessage(text) {
+    this.value = undefined;
+    this.largeResult = null;
+    this.message = String(text ?? '');
+    this.toolbar.hidden = true;
+    this.render();
+  }
+
+  showValue(value) {
+    if (value === undefined) {
+      this.showMessage('(no result)');
+      return;
+    }
+    this.value = normalizeResult(value);
+    this.largeResult = null;
+    this.message = '';
+    this.toolbar.hidden = false;
+    this.view = this.pickDefaultView();
+    this.setQuery('');
+  }
+
+  /**
+   * Show a stored result by reference: its raw JSON is paged in chunk by chunk,
+   * and only parsed into the tree and table views when asked for in full.
+   * @param {{id: string, size: number, chunkCount: number}} ref - Stored result reference
+   * @param {Object} loader - { loadChunk(index): Promise<string>, loadAll(): Promise<*> }
+   */
+  showLargeResult(ref, loader) {
+    this.value = undefined;
+    this.message = '';
+    this.toolbar.hidden = true;
+    this.largeResult = { ref, loader, text: '', loadedChunks: 0, loading: false };
+    this.loadNextChunk();
+  }
+
+  async runLargeResultLoad(load) {
+    const state = this.largeResult;
+    if (!state || state.loading) return;
+    state.loading = true;
+    this.render();
+    try {
+      await load(state);
+    } catch (error) {
+      this.onStatus(`Failed to load stored result: ${error.message}`, 'error');
+    } finally {
+      state.loading = false;
+      if (this.largeResult === state) this.render();
+    }
+  }
+
+  loadNextChunk() {
+    return this.runLargeResultLoad(async (state) => {
+      if (state.loadedChunks >= state.ref.chunkCount) return;
+      const text = await state.loader.loadChunk(state.loadedChunks);
+      state.text += text;
+      state.loadedChunks += 1;
+    });
+  }
+
+  loadFullResult() {
+    return this.runLargeResultLoad(async (state) => {
+      const value = await state.loader.loadAll();
+      if (this.largeResult === state) this.showValue(value);
+    });
+  }
+
+  pickDefaultView() {
+    if (isMcpContent(this.value)) return 'content';
+    if (Array.isArray(this.value) && findTableRows(this.value)) return 'table';
+    return isContainer(this.value) ? 'tree' : 'raw';
+  }
+
+  availableViews() {
+    return VIEWS.filter((view) => {
+      if (view === 'content') return isMcpContent(this.value);
+      if (view === 'table') return !!findTableRows(this.value);
+      if (view === 'tree') return isContainer(this.value);
+      return true;
+    });
+  }
+
+  setView(view) {
+    this.view = view;
+    this.render();
+  }
+
+  setQuery(query) {
+    this.query = String(query || '').trim().toLowerCase();
+    if (this.searchInput.value !== (query || '')) {
+      this.searchInput.value = query || '';
+    }
+    this.collectMatches();
+    this.render();
+  }
+
+  /**
+   * Paths whose key or primitive value contains the query, plus their ancestors to expand.
+   */
+  collectMatches() {
+    this.matches = new Set();
+    this.openPaths = new Set();
+    if (!this.query || !isContainer(this.value)) return;
+
+    const visit = (value, path, ancestors) => {
+      if (this.matches.size >= MAX_SEARCH_MATCHES) return;
+      for (const [key, entry] of entriesOf(value)) {
+        const entryPath = childPath(path, key);
+        const keyHit = typeof key === 'string' && key.toLowerCase().includes(this.query);
+        const valueHit = !isContainer(entry) && String(entry).toLowerCase().includes(this.query);
+        if (keyHit || valueHit) {
+          this.matches.add(entryPath);
+          for (const ancestor of ancestors) this.openPaths.add(ancestor);
+          this.openPaths.add(path);
+        }
+        if (isContainer(entry)) visit(entry, entryPath, [...ancestors, path]);
+      }
+    };
+    visit(this.value, '$', []);
+  }
+
+  render() {
+    this.body.innerHTML = '';
+    this.body.className = 'result-body';
+
+    if (this.largeResult) {
+      this.renderLargeResult();
+      return;
+    }
+
+    if (this.value === undefined) {
+      this.body.classList.add('results-panel');
+      this.body.textContent = this.message;
+      return;
+    }
+
+    const views = this.availableViews();
+    if (!views.includes(this.view)) this.view = views[0];
+    for (const [view, button] of Object.entries(this.viewButtons)) {
+      button.hidden = !views.includes(view);
+      button.classList.toggle('active', view === this.view);
+    }
+
+    const searchable = this.view === 'tree' || this.view === 'table';
+    this.searchInput.hidden = !searchable;
+    this.matchLabel.textContent = searchable && this.query && this.view === 'tree'
+      ? `${this.matches.size}${this.matches.size >= MAX_SEARCH_MATCHES ? '+' : ''} match${this.matches.size === 1 ? '' : 'es'}`
+      : '';
+
+    if (this.view === 'content') this.renderContent();
+    if (this.view === 'tree') this.renderTree();
+    if (this.view === 'table') this.renderTable();
+    if (this.view === 'raw') {
+      this.body.classList.add('results-panel');
+      this.body.textContent = typeof this.value === 'string' ? this.value : JSON.stringify(this.value, null, 2);
+    }
+  }
+
+  async copyPath(path) {
+    try {
+      await navigator.clipboard.writeText(path);
+      this.onStatus(`Copied ${path}`, 'success');
+    } catch (error) {
+      this.onStatus(`Clipboard failed: ${error.message}`, 'error');
+    }
+  }
+
+  createCopyPathButton(path) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'result-copy-path';
+    button.title = `Copy path ${path}`;
+    button.textContent = '⧉';
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.copyPath(path);
+    });
+    return button;
+  }
+
+  // Content view
+
+  renderContent() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'result-content';
+    if (this.value.isError) {
+      const banner = document.createElement('div');
+      banner.className = 'validation-summary result-error';
+      banner.textContent = 'The tool reported an error (isError: true)';
+      wrapper.appendChild(banner);
+    }
+    for (const block of this.value.content) {
+      wrapper.appendChild(this.renderContentBlock(block));
+    }
+    this.body.appendChild(wrapper);
+  }
+
+  renderContentBlock(block) {
+    const element = document.createElement('div');
+    element.className = `result-block result-block-${block.type}`;
+
+    if (block.type === 'text') {
+      element.appendChild(renderMarkdown(block.text ?? ''));
+      return element;
+    }
+
+    if ((block.type === 'image' || block.type === 'audio') && typeof block.data === 'string') {
+      const mimeType = String(block.mimeType || (block.type === 'image' ? 'image/png' : 'audio/wav'));
+      if (mimeType.startsWith(`${block.type}/`)) {
+        const media = document.createElement(block.type === 'image' ? 'img' : 'audio');
+        media.src = `data:${mimeType};base64,${block.data}`;
+        if (block.type === 'audio') media.controls = true;
+        else media.alt = block.alt || 'Image result';
+        element.appendChild(media);
+        return element;
+      }
+    }
+
+    if (block.type === 'resource_link') {
+      const href = safeHref(block.uri);
+      const link = document.createElement(href ? 'a' : 'span');
+      if (href) {
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+      }
+      link.textContent = block.title || block.name || block.uri;
+      element.appendChild(link);
+      if (block.description) {
+        const description = document.createElement('div');
+        description.className = 'muted';
+        description.textContent = block.description;
+        element.appendChild(description);
+      }
+      return element;
+    }
+
+    if (block.type === 'resource' && isPlainObject(block.resource)) {
+      const { uri, mimeType, text, blob } = block.resource;
+      const label = document.createElement('div');
+      label.className = 'muted';
+      label.textContent = [uri, mimeType].filter(Boolean).join(' • ');
+      element.appendChild(label);
+      if (typeof blob === 'string' && String(mimeType).startsWith('image/')) {
+        const image = document.createElement('img');
+        image.src = `data:${mimeType};base64,${blob}`;
+        image.alt = uri || 'Embedded resource';
+        element.appendChild(image);
+      } else {
+        const pre = document.createElement('pre');
+        pre.textContent = typeof text === 'string' ? text : preview(block.resource, 2000);
+        element.appendChild(pre);
+      }
+      return element;
+    }
+
+    const pre = document.createElement('pre');
+    pre.textContent = JSON.stringify(block, null, 2);
+    element.appendChild(pre);
+    return element;
+  }
+
+  // Tree view
+
+  renderTree() {
+    const tree = document.createElement('div');
+    tree.className = 'result-tree';
+    tree.appendChild(this.createTreeNode('$', this.value, '$', 0));
+    this.body.appendChild(tree);
+  }
+
+  createTreeLeaf(label, value, path) {
+    const row = document.createElement('div');
+    row.className = 'result-tree-row';
+    row.classList.toggle('match', this.matches.has(path));
+    const key = document.createElement('span');
+    key.className = 'result-tree-key';
+    key.textContent = `${label}: `;
+    row.appendChild(key);
+
+    const tag = getResultTag(value);
+    const text = document.createElement('span');
+    if (tag) {
+      text.className = 'result-tree-value result-tagged';
+      text.textContent = formatTaggedValue(value);
+      row.appendChild(text);
+      row.appendChild(this.createTagBadge(tag));
+    } else {
+      text.className = `result-tree-value result-type-${value === null ? 'null' : typeof value}`;
+      text.textContent = typeof value === 'string' ? JSON.stringify(value) : String(value);
+      row.appendChild(text);
+    }
+    row.appendChild(this.createCopyPathButton(path));
+    return row;
+  }
+
+  createTagBadge(tag) {
+    const badge = document.createElement('span');
+    badge.className = 'result-tag';
+    badge.textContent = tag;
+    return badge;
+  }
+
+  /**
+   * Children of a node in the tree; tagged values expose their payload (map
+   * entries, set values, error stack and cause) rather than their wrapper keys.
+   */
+  describeTreeChildren(value, path) {
+    const tag = getResultTag(value);
+    const notes = typeof value.truncated === 'number' ? [`… ${value.truncated} more not serialized`] : [];
+
+    if (tag === 'Map') {
+      const entriesPath = childPath(path, 'entries');
+      return {
+        notes,
+        children: value.entries.map(([entryKey, entryValue], index) => {
+          const pairPath = childPath(entriesPath, index);
+          return isContainer(entryKey)
+            ? { label: `[${index}]`, value: [entryKey, entryValue], path: pairPath }
+            : { label: preview(entryKey, 40), value: entryValue, path: childPath(pairPath, 1), searchPath: pairPath };
+        })
+      };
+    }
+    if (tag === 'Error') {
+      return {
+        notes,
+        children: [
+          ...(value.stack ? [{ label: 'stack', value: value.stack, path: childPath(path, 'stack'), pre: true }] : []),
+          ...(value.cause !== undefined ? [{ label: 'cause', value: value.cause, path: childPath(path, 'cause') }] : [])
+        ]
+      };
+    }
+    if (tag === 'Instance' || tag === 'Object') {
+      const valuePath = childPath(path, 'value');
+      return {
+        notes,
+        children: entriesOf(value.value).map(([key, entry]) => ({ label: key, value: entry, path: childPath(valuePath, key) }))
+      };
+    }
+    if (tag) {
+      const valuesPath = childPath(path, 'values');
+      return {
+        notes,
+        children: value.values.map((entry, index) => ({ label: String(index), value: entry, path: childPath(valuesPath, index) }))
+      };
+    }
+    return {
+      notes,
+      children: entriesOf(value).map(([key, entry]) => ({ label: String(key), value: entry, path: childPath(path, key) }))
+    };
+  }
+
+  createTreeNode(label, value, path, depth) {
+    const tag = getResultTag(value);
+    if (!isContainer(value) || (tag && LEAF_TAGS.has(tag))) {
+      return this.createTreeLeaf(label, value, path);
+    }
+
+    const { children: allChildren, notes } = this.describeTreeChildren(value, path);
+    // While searching, only branches that lead to a match are listed.
+    const entries = this.query
+      ? allChildren.filter((child) => {
+        const searchPath = child.searchPath || child.path;
+        return this.matches.has(searchPath) || this.openPaths.has(searchPath) || this.matches.has(child.path);
+      })
+      : allChildren;
+    const node = document.createElement('details');
+    node.className = 'result-tree-node';
+    node.open = depth === 0 || this.openPaths.has(path);
+
+    const summary = document.createElement('summary');
+    summary.classList.toggle('match', this.matches.has(path));
+    const key = document.createElement('span');
+    key.className = 'result-tree-key';
+    key.textContent = label;
+    const meta = document.createElement('span');
+    meta.className = tag ? 'result-tagged' : 'muted';
+    if (tag) {
+      meta.textContent = ` ${formatTaggedValue(value)}`;
+    } else {
+      meta.textContent = Array.isArray(value) ? ` [${allChildren.length}]` : ` {${allChildren.length}}`;
+    }
+    summary.appendChild(key);
+    summary.appendChild(meta);
+    if (tag) summary.appendChild(this.createTagBadge(tag));
+    summary.appendChild(this.createCopyPathButton(path));
+    node.appendChild(summary);
+
+    const children = document.createElement('div');
+    children.className = 'result-tree-children';
+    node.appendChild(children);
+
+    // Children are built on first expand so large results stay cheap to show.
+    let rendered = 0;
+    const renderMore = () => {
+      children.querySelector(':scope > .result-show-more')?.remove();
+      const next = entries.slice(rendered, rendered + PAGE_SIZE);
+      for (const child of next) {
+        children.appendChild(child.pre
+          ? this.createTreePre(child.label, child.value, child.path)
+          : this.createTreeNode(child.label, child.value, child.path, depth + 1));
+      }
+      rendered += next.length;
+      if (rendered < entries.length) {
+        children.appendChild(this.createShowMoreButton(entries.length - rendered, renderMore));
+      } else {
+        for (const note of notes) {
+          const row = document.createElement('div');
+          row.className = 'result-tree-row muted';
+          row.textContent = note;
+          children.appendChild(row);
+        }
+      }
+    };
+    if (node.open) renderMore();
+    node.addEventListener('toggle', () => {
+      if (node.open && rendered === 0) renderMore();
+    });
+
+    return node;
+  }
+
+  createTreePre(label, value, path) {
+    const row = document.createElement('div');
+    row.className = 'result-tree-row';
+    row.classList.toggle('match', this.matches.has(path));
+    const key = document.createElement('span');
+    key.className = 'result-tree-key';
+    key.textContent = `${label}: `;
+    const pre = document.createElement('pre');
+    pre.className = 'result-tree-pre';
+    pre.textContent = String(value);
+    row.appendChild(key);
+    row.appendChild(this.createCopyPathButton(path));
+    row.appendChild(pre);
+    return row;
+  }
+
+  renderLargeResult() {
+    const { ref, text, loadedChunks, loading } = this.largeResult;
+    const banner = document.createElement('div');
+    banner.className = 'result-large-banner';
+
+    const summary = document.createElement('span');
+    summary.className = 'muted';
+    summary.textContent = `Large result: ${formatChars(ref.size)} stored as ${ref.id}; ` +
+      `showing ${loadedChunks} of ${ref.chunkCount} chunks as raw JSON.`;
+    banner.appendChild(summary);
+
+    if (loadedChunks < ref.chunkCount) {
+      const nextButton = document.createElement('button');
+      nextButton.type = 'button';
+      nextButton.className = 'btn btn-secondary btn-small';
+      nextButton.textContent = 'Load next chunk';
+      nextButton.disabled = loading;
+      nextButton.addEventListener('click', () => this.loadNextChunk());
+      banner.appendChild(nextButton);
+    }
+
+    const fullButton = document.createElement('button');
+    fullButton.type = 'button';
+    fullButton.className = 'btn btn-secondary btn-small';
+    fullButton.textContent = loading ? 'Loading...' : 'Load full result';
+    fullButton.disabled = loading;
+    fullButton.addEventListener('click', () => this.loadFullResult());
+    banner.appendChild(fullButton);
+
+    const raw = document.createElement('pre');
+    raw.className = 'results-panel result-large-raw';
+    raw.textContent = loadedChunks < ref.chunkCount ? `${text}…` : text;
+
+    this.body.appendChild(banner);
+    this.body.appendChild(raw);
+  }
+
+  createShowMoreButton(remaining, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary btn-small result-show-more';
+    button.textContent = `Show ${Math.min(remaining, PAGE_SIZE)} more (${remaining} left)`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Table view
+
+  renderTable() {
+    const { path, rows } = findTableRows(this.value);
+    const columns = [];
+    for (const row of rows) {
+      for (const key of Object.keys(row)) {
+        if (!columns.includes(key) && columns.length < MAX_TABLE_COLUMNS) columns.push(key);
+      }
+    }
+
+    const visible = rows
+      .map((row, index) => ({ row, index }))
+      .filter(({ row }) => !this.query || JSON.stringify(row).toLowerCase().includes(this.query));
+    this.matchLabel.textContent = this.query ? `${visible.length} of ${rows.length} rows` : `${rows.length} rows`;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'result-table-wrap';
+    const table = document.createElement('table');
+    table.className = 'result-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (const column of ['#', ...columns]) {
+      const th = document.createElement('th');
+      th.textContent = column;
+      headRow.appendChild(th);
+    }
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    table.appendChild(body);
+    let rendered = 0;
+    const renderMore = () => {
+      wrapper.querySelector(':scope > .result-show-more')?.remove();
+      for (const { row, index } of visible.slice(rendered, rendered + PAGE_SIZE)) {
+        const tr = document.createElement('tr');
+        const indexCell = document.createElement('td');
+        indexCell.textContent = String(index);
+        tr.appendChild(indexCell);
+        for (const column of columns) {
+          const cell = document.createElement('td');
+          const cellPath = childPath(childPath(path, index), column);
+          if (row[column] !== undefined) {
+            cell.textContent = preview(row[column]);
+            cell.title = `${cellPath} (click to copy path)`;
+            cell.addEventListener('click', () => this.copyPath(cellPath));
+          }
+          tr.appendChild(cell);
+        }
+        body.appendChild(tr);
+      }
+      rendered = Math.min(rendered + PAGE_SIZE, visible.length);
+      if (rendered < visible.length) {
+        wrapper.appendChild(this.createShowMoreButton(visible.length - rendered, renderMore));
+      }
+    };
+
+    wrapper.appendChild(table);
+    renderMore();
+    this.body.appendChild(wrapper);
+  }
+}
+
+export default ResultViewer;
+export { renderMarkdown, normalizeResult };
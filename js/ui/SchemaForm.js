@@ -0,0 +1,395 @@
+/**
+ * WebMCP Inspector - Schema Form
+ * Renders a typed form from a tool inputSchema and reads it back as JSON
+ */
+
+import { dereferenceSchema } from '../schema/resolver.js';
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pickNonNullType(schemaType) {
+  if (typeof schemaType === 'string') return schemaType;
+  if (Array.isArray(schemaType)) {
+    return schemaType.find((entry) => entry !== 'null') || null;
+  }
+  return null;
+}
+
+function toDateTimeLocal(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+class SchemaForm {
+  /**
+   * @param {HTMLElement} container - Element the form renders into
+   * @param {Object} options - { onChange(value) }
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onChange = options.onChange || (() => {});
+    this.root = null;
+
+    // Every widget (text, number, select, checkbox, date) fires "input".
+    this.container.addEventListener('input', () => this.emitChange());
+  }
+
+  render(schema, value) {
+    this.container.innerHTML = '';
+    this.root = this.buildNode(dereferenceSchema(schema), value, { required: true, depth: 0 });
+    this.container.appendChild(this.root.element);
+  }
+
+  clear() {
+    this.root = null;
+    this.container.innerHTML = '';
+  }
+
+  getValue() {
+    const value = this.root?.read();
+    return value === undefined ? {} : value;
+  }
+
+  emitChange() {
+    if (this.root) {
+      this.onChange(this.getValue());
+    }
+  }
+
+  /**
+   * Collapse composition keywords into the schema the form edits.
+   */
+  resolveSchema(schema) {
+    if (!isPlainObject(schema)) return {};
+
+    if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+      const { allOf, ...rest } = schema;
+      const merged = { ...rest, properties: { ...(rest.properties || {}) }, required: [...(rest.required || [])] };
+      for (const part of allOf) {
+        const resolved = this.resolveSchema(part);
+        Object.assign(merged.properties, resolved.properties || {});
+        merged.required.push(...(resolved.required || []));
+        for (const [key, entry] of Object.entries(resolved)) {
+          if (key !== 'properties' && key !== 'required' && merged[key] === undefined) {
+            merged[key] = entry;
+          }
+        }
+      }
+      return merged;
+    }
+
+    // Only the first alternative is editable as a form; JSON view covers the rest.
+    const alternatives = Array.isArray(schema.oneOf) ? schema.oneOf : schema.anyOf;
+    if (!schema.type && !schema.properties && Array.isArray(alternatives) && alternatives.length > 0) {
+      const nonNull = alternatives.find((entry) => entry?.type !== 'null') || alternatives[0];
+      return { ...this.resolveSchema(nonNull), description: schema.description ?? nonNull?.description };
+    }
+
+    return schema;
+  }
+
+  inferType(schema) {
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return 'enum';
+    const explicit = pickNonNullType(schema.type);
+    if (explicit) return explicit;
+    if (isPlainObject(schema.properties)) return 'object';
+    if (schema.items) return 'array';
+    return 'json';
+  }
+
+  buildNode(schema, value, context) {
+    const resolved = this.resolveSchema(schema);
+    switch (this.inferType(resolved)) {
+      case 'enum':
+        return this.buildEnum(resolved, value, context);
+      case 'object':
+        return isPlainObject(resolved.properties) && Object.keys(resolved.properties).length > 0
+          ? this.buildObject(resolved, value, context)
+          : this.buildJson(value, context);
+      case 'array':
+        return this.buildArray(resolved, value, context);
+      case 'string':
+        return this.buildString(resolved, value, context);
+      case 'number':
+      case 'integer':
+        return this.buildNumber(resolved, value, context);
+      case 'boolean':
+        return this.buildBoolean(value, context);
+      default:
+        return this.buildJson(value, context);
+    }
+  }
+
+  buildFieldRow(key, schema, value, required, depth) {
+    const resolved = this.resolveSchema(schema);
+    const node = this.buildNode(schema, value, { required, depth });
+    const isGroup = this.inferType(resolved) === 'object' && node.isGroup;
+
+    const row = document.createElement(isGroup ? 'details' : 'div');
+    row.className = isGroup ? 'schema-group' : 'schema-field';
+    if (isGroup) row.open = true;
+
+    const label = document.createElement(isGroup ? 'summary' : 'label');
+    label.className = 'schema-field-label';
+    label.textContent = key;
+    if (resolved.title) label.title = resolved.title;
+    if (required) {
+      const marker = document.createElement('span');
+      marker.className = 'required-marker';
+      marker.textContent = ' *';
+      label.appendChild(marker);
+    }
+    row.appendChild(label);
+
+    if (resolved.description) {
+      const description = document.createElement('div');
+      description.className = 'schema-field-desc';
+      description.textContent = resolved.description;
+      row.appendChild(description);
+    }
+
+    row.appendChild(node.element);
+    return { element: row, read: node.read };
+  }
+
+  buildObject(schema, value, context) {
+    const source = isPlainObject(value) ? value : {};
+    const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+    const properties = schema.properties;
+
+    const element = document.createElement('div');
+    element.className = 'schema-object';
+
+    const children = Object.entries(properties).map(([key, childSchema]) => {
+      const row = this.buildFieldRow(key, childSchema, source[key], required.has(key), context.depth + 1);
+      element.appendChild(row.element);
+      return { key, read: row.read };
+    });
+
+    // Keys the schema does not describe are carried through untouched.
+    const extraKeys = Object.keys(source).filter((key) => !Object.prototype.hasOwnProperty.call(properties, key));
+
+    return {
+      element,
+      isGroup: true,
+      read: () => {
+        const out = {};
+        for (const key of extraKeys) {
+          out[key] = source[key];
+        }
+        for (const child of children) {
+          const childValue = child.read();
+          if (childValue !== undefined) {
+            out[child.key] = childValue;
+          }
+        }
+        if (!context.required && value === undefined && Object.keys(out).length === 0) {
+          return undefined;
+        }
+        return out;
+      }
+    };
+  }
+
+  buildArray(schema, value, context) {
+    const itemSchema = isPlainObject(schema.items) ? schema.items : {};
+    const element = document.createElement('div');
+    element.className = 'schema-array';
+
+    const list = document.createElement('div');
+    list.className = 'schema-array-rows';
+    element.appendChild(list);
+
+    const rows = [];
+    const addRow = (itemValue) => {
+      const rowElement = document.createElement('div');
+      rowElement.className = 'schema-array-row';
+      const node = this.buildNode(itemSchema, itemValue, { required: true, depth: context.depth + 1 });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn btn-secondary btn-small';
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Remove item';
+
+      const row = { element: rowElement, read: node.read };
+      removeBtn.addEventListener('click', () => {
+        rows.splice(rows.indexOf(row), 1);
+        rowElement.remove();
+        this.emitChange();
+      });
+
+      rowElement.appendChild(node.element);
+      rowElement.appendChild(removeBtn);
+      list.appendChild(rowElement);
+      rows.push(row);
+    };
+
+    (Array.isArray(value) ? value : []).forEach((item) => addRow(item));
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-secondary btn-small';
+    addBtn.textContent = '+ Add item';
+    addBtn.addEventListener('click', () => {
+      addRow(undefined);
+      this.emitChange();
+    });
+    element.appendChild(addBtn);
+
+    return {
+      element,
+      read: () => {
+        if (!context.required && value === undefined && rows.length === 0) {
+          return undefined;
+        }
+        return rows.map((row) => row.read()).map((item) => (item === undefined ? null : item));
+      }
+    };
+  }
+
+  buildString(schema, value, context) {
+    const input = document.createElement('input');
+    const format = schema.format;
+    const initial = value === undefined || value === null ? '' : String(value);
+
+    if (format === 'date') {
+      input.type = 'date';
+      input.value = initial;
+    } else if (format === 'date-time') {
+      input.type = 'datetime-local';
+      input.value = initial ? toDateTimeLocal(initial) : '';
+    } else if (format === 'time') {
+      input.type = 'time';
+      input.step = '1';
+      input.value = initial;
+    } else {
+      input.type = format === 'email' ? 'email' : format === 'uri' || format === 'url' ? 'url' : 'text';
+      input.value = initial;
+    }
+
+    if (typeof schema.maxLength === 'number') input.maxLength = schema.maxLength;
+    if (typeof schema.pattern === 'string') input.pattern = schema.pattern;
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+      input.placeholder = String(schema.examples[0]);
+    }
+
+    return {
+      element: input,
+      read: () => {
+        if (input.value === '') {
+          return context.required ? '' : undefined;
+        }
+        if (format === 'date-time') {
+          const date = new Date(input.value);
+          return Number.isNaN(date.getTime()) ? input.value : date.toISOString();
+        }
+        return input.value;
+      }
+    };
+  }
+
+  buildNumber(schema, value, context) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = typeof value === 'number' ? String(value) : '';
+    input.step = pickNonNullType(schema.type) === 'integer' ? '1' : 'any';
+    if (typeof schema.minimum === 'number') input.min = String(schema.minimum);
+    if (typeof schema.maximum === 'number') input.max = String(schema.maximum);
+
+    return {
+      element: input,
+      read: () => {
+        if (input.value === '') return undefined;
+        const parsed = Number(input.value);
+        return Number.isFinite(parsed) ? parsed : input.value;
+      }
+    };
+  }
+
+  buildBoolean(value, context) {
+    if (context.required) {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.className = 'schema-checkbox';
+      input.checked = value === true;
+      return { element: input, read: () => input.checked };
+    }
+
+    const select = this.createSelect(['(unset)', 'true', 'false']);
+    select.value = value === true ? '1' : value === false ? '2' : '0';
+    return {
+      element: select,
+      read: () => (select.value === '1' ? true : select.value === '2' ? false : undefined)
+    };
+  }
+
+  buildEnum(schema, value, context) {
+    const options = schema.enum;
+    const labels = options.map((option) => (typeof option === 'string' ? option : JSON.stringify(option)));
+    const select = this.createSelect(context.required ? labels : ['(unset)', ...labels]);
+    const offset = context.required ? 0 : 1;
+
+    const index = options.findIndex((option) => JSON.stringify(option) === JSON.stringify(value));
+    // Keep an out-of-enum value selectable as-is so it stays visible and still fails validation.
+    const invalid = index === -1 && value !== undefined;
+    if (invalid) {
+      const option = document.createElement('option');
+      option.value = 'invalid';
+      option.textContent = `(invalid: ${typeof value === 'string' ? value : JSON.stringify(value)})`;
+      select.appendChild(option);
+    }
+    select.value = invalid ? 'invalid' : index === -1 ? '0' : String(index + offset);
+    select.classList.toggle('invalid', invalid);
+    select.addEventListener('change', () => select.classList.toggle('invalid', select.value === 'invalid'));
+
+    return {
+      element: select,
+      read: () => {
+        if (select.value === 'invalid') return value;
+        const selected = Number(select.value) - offset;
+        return selected < 0 ? undefined : options[selected];
+      }
+    };
+  }
+
+  buildJson(value, context) {
+    const textarea = document.createElement('textarea');
+    textarea.className = 'code-input schema-json';
+    textarea.value = value === undefined ? '' : JSON.stringify(value, null, 2);
+    textarea.placeholder = 'JSON value';
+
+    return {
+      element: textarea,
+      read: () => {
+        const raw = textarea.value.trim();
+        if (!raw) return context.required ? null : undefined;
+        try {
+          const parsed = JSON.parse(raw);
+          textarea.classList.remove('invalid');
+          return parsed;
+        } catch {
+          textarea.classList.add('invalid');
+          return raw;
+        }
+      }
+    };
+  }
+
+  createSelect(labels) {
+    const select = document.createElement('select');
+    labels.forEach((label, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    return select;
+  }
+}
+
+export default SchemaForm;
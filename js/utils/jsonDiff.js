@@ -0,0 +1,104 @@
+/**
+ * Structural JSON diff.
+ * Compares two JSON values and lists added, removed and changed paths. Arrays of
+ * uniquely named objects (tool lists) are matched by `name` so reordering is not a
+ * change; repeated names fall back to matching by index so no entry is hidden.
+ */
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pointer(path, segment) {
+  return `${path}/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function isNamedList(value) {
+  return value.every((entry) => isPlainObject(entry) && typeof entry.name === 'string') &&
+    new Set(value.map((entry) => entry.name)).size === value.length;
+}
+
+function areNamedLists(before, after) {
+  return Array.isArray(before) && Array.isArray(after) &&
+    before.length + after.length > 0 && isNamedList(before) && isNamedList(after);
+}
+
+function diffNode(before, after, path, changes) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const childPath = pointer(path, key);
+      if (!(key in after)) {
+        changes.push({ op: 'remove', path: childPath, before: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ op: 'add', path: childPath, after: after[key] });
+      } else {
+        diffNode(before[key], after[key], childPath, changes);
+      }
+    }
+    return;
+  }
+
+  if (areNamedLists(before, after)) {
+    const beforeByName = new Map(before.map((entry) => [entry.name, entry]));
+    const afterByName = new Map(after.map((entry) => [entry.name, entry]));
+    for (const [name, entry] of beforeByName) {
+      if (!afterByName.has(name)) {
+        changes.push({ op: 'remove', path: pointer(path, name), before: entry });
+      }
+    }
+    for (const [name, entry] of afterByName) {
+      if (!beforeByName.has(name)) {
+        changes.push({ op: 'add', path: pointer(path, name), after: entry });
+      } else {
+        diffNode(beforeByName.get(name), entry, pointer(path, name), changes);
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let index = 0; index < length; index += 1) {
+      const childPath = pointer(path, index);
+      if (index >= after.length) {
+        changes.push({ op: 'remove', path: childPath, before: before[index] });
+      } else if (index >= before.length) {
+        changes.push({ op: 'add', path: childPath, after: after[index] });
+      } else {
+        diffNode(before[index], after[index], childPath, changes);
+      }
+    }
+    return;
+  }
+
+  changes.push({ op: 'change', path: path || '/', before, after });
+}
+
+/**
+ * Diff two JSON values
+ * @param {*} before - Previous value
+ * @param {*} after - Next value
+ * @returns {Array<{op: 'add'|'remove'|'change', path: string, before?: *, after?: *}>}
+ */
+export function diffJson(before, after) {
+  const changes = [];
+  diffNode(before, after, '', changes);
+  return changes;
+}
+
+/**
+ * One-line summary of a diff entry, e.g. `~ /tools/search/description: "a" → "b"`
+ */
+export function describeJsonChange(change, maxLength = 120) {
+  const preview = (value) => {
+    const text = JSON.stringify(value) ?? 'undefined';
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+  };
+
+  if (change.op === 'add') return `+ ${change.path}: ${preview(change.after)}`;
+  if (change.op === 'remove') return `- ${change.path}: ${preview(change.before)}`;
+  return `~ ${change.path}: ${preview(change.before)} → ${preview(change.after)}`;
+}
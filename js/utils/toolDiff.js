@@ -0,0 +1,72 @@
+/**
+ * Tool set diff.
+ * Compares two tool list snapshots: tools added or removed, and per-property
+ * changes to description, inputSchema and annotations of tools present in both.
+ */
+
+import { diffJson } from './jsonDiff.js';
+
+const COMPARED_FIELDS = ['description', 'inputSchema', 'annotations'];
+
+/**
+ * Identity of a tool within a tab: the same name in two frames is two tools.
+ */
+export function toolKey(tool) {
+  return `${tool?.frameId ?? 0}:${tool?.name ?? ''}`;
+}
+
+function comparable(tool) {
+  const out = {};
+  for (const field of COMPARED_FIELDS) {
+    if (tool[field] !== undefined) out[field] = tool[field];
+  }
+  return out;
+}
+
+/**
+ * Map tools by key; a name repeated in one frame gets `#2`, `#3`... so no copy is dropped.
+ */
+function keyTools(tools) {
+  const keyed = new Map();
+  for (const tool of tools) {
+    const base = toolKey(tool);
+    let key = base;
+    for (let occurrence = 2; keyed.has(key); occurrence += 1) key = `${base}#${occurrence}`;
+    keyed.set(key, tool);
+  }
+  return keyed;
+}
+
+/**
+ * Diff two tool snapshots
+ * @param {Array} previous - Tools before the update
+ * @param {Array} next - Tools after the update
+ * @returns {Array<{key: string, tool: string, frameId: number, type: 'added'|'removed'|'changed', fields?: string[], diff?: Array}>}
+ */
+export function diffToolSets(previous = [], next = []) {
+  const before = keyTools(previous);
+  const after = keyTools(next);
+  const changes = [];
+
+  for (const [key, tool] of before) {
+    if (!after.has(key)) {
+      changes.push({ key, tool: tool.name, frameId: tool.frameId ?? 0, type: 'removed' });
+    }
+  }
+
+  for (const [key, tool] of after) {
+    const old = before.get(key);
+    if (!old) {
+      changes.push({ key, tool: tool.name, frameId: tool.frameId ?? 0, type: 'added' });
+      continue;
+    }
+
+    const diff = diffJson(comparable(old), comparable(tool));
+    if (diff.length > 0) {
+      const fields = [...new Set(diff.map((change) => change.path.split('/')[1]))];
+      changes.push({ key, tool: tool.name, frameId: tool.frameId ?? 0, type: 'changed', fields, diff });
+    }
+  }
+
+  return changes;
+}
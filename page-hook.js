@@ -0,0 +1,545 @@
+(() => {
+/**
+ * Copyright 2026 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Page Hook (main world)
+ * Wraps WebMCP tool callbacks and declarative form submissions so every
+ * invocation is logged, whoever triggered it, and keeps a registry of tools
+ * registered through the stable API so the content script can list and run
+ * them. Everything crosses to the content script as DOM events on `document`.
+ */
+
+const INSTALL_FLAG = Symbol.for('webmcp-inspector.page-hook');
+if (window[INSTALL_FLAG]) {
+  return;
+}
+Object.defineProperty(window, INSTALL_FLAG, { value: true });
+
+const CALL_EVENT = 'webmcp-inspector:call';
+const EXPECT_CALL_EVENT = 'webmcp-inspector:expect-call';
+const REGISTRY_REQUEST_EVENT = 'webmcp-inspector:registry-request';
+const REGISTRY_RESPONSE_EVENT = 'webmcp-inspector:registry-response';
+const REGISTRY_CHANGED_EVENT = 'webmcp-inspector:registry-changed';
+const WRAPPED = Symbol('webmcp-inspector.wrapped');
+// An announced caller that never reaches the page (e.g. rejected input) must not
+// be attributed to a later, unrelated call.
+const EXPECTED_CALLER_TTL_MS = 10000;
+
+let callCounter = 0;
+// Tool name -> callers announced before the invocation reaches the page
+const expectedCallers = new Map();
+const pendingCalls = new Map();
+const submitCalls = new WeakMap();
+
+// Tools seen through the stable navigator.modelContext surface, which has no
+// listTools()/executeTool(). provideContext() replaces its whole set;
+// registerTool()/unregisterTool() manage theirs one by one.
+const registry = {
+  provided: new Map(),
+  registered: new Map(),
+  // Last bundle passed to provideContext(), or null once cleared
+  context: null
+};
+
+function toLoggable(value, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value ?? null;
+
+  const valueType = typeof value;
+  if (valueType === 'string' || valueType === 'number' || valueType === 'boolean') return value;
+  if (valueType === 'bigint') return String(value);
+  if (valueType === 'function' || valueType === 'symbol') return undefined;
+  if (depth > 8) return '[MaxDepth]';
+
+  if (value instanceof Date) return value.toISOString();
+  if (typeof File !== 'undefined' && value instanceof File) {
+    return { file: value.name, size: value.size, type: value.type };
+  }
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  let out;
+  if (Array.isArray(value)) {
+    out = value.map((item) => {
+      const normalized = toLoggable(item, depth + 1, seen);
+      return normalized === undefined ? null : normalized;
+    });
+  } else {
+    out = {};
+    for (const [key, nested] of Object.entries(value)) {
+      const normalized = toLoggable(nested, depth + 1, seen);
+      if (normalized !== undefined) out[key] = normalized;
+    }
+  }
+
+  seen.delete(value);
+  return out;
+}
+
+const { serializeResult } = globalThis[Symbol.for('webmcp-inspector.serializer')];
+// Calls feed entries keep a preview of the output; full results go through EXECUTE_TOOL
+const CALL_OUTPUT_LIMITS = { maxEntries: 100, maxStringLength: 4000 };
+
+function errorToString(error) {
+  if (!error) return 'Unknown error';
+  if (typeof error === 'string') return error;
+  if (error.name && error.message) return `${error.name}: ${error.message}`;
+  return error.message || String(error);
+}
+
+function emit(phase, call) {
+  const { startedAt, responded, ...report } = call;
+  try {
+    document.dispatchEvent(new CustomEvent(CALL_EVENT, {
+      detail: JSON.stringify({ phase, call: report })
+    }));
+  } catch (error) {
+    console.debug('[WebMCP Inspector] Failed to report tool call:', error);
+  }
+}
+
+function consumeExpectedCaller(toolName) {
+  const queue = (expectedCallers.get(toolName) || [])
+    .filter((entry) => Date.now() - entry.at < EXPECTED_CALLER_TTL_MS);
+  const entry = queue.shift();
+  if (queue.length === 0) {
+    expectedCallers.delete(toolName);
+  } else {
+    expectedCallers.set(toolName, queue);
+  }
+  return entry ? entry.caller : null;
+}
+
+function expectCaller(toolName, caller) {
+  if (!expectedCallers.has(toolName)) expectedCallers.set(toolName, []);
+  expectedCallers.get(toolName).push({ caller, at: Date.now() });
+}
+
+function beginCall(toolName, kind, input, fallbackCaller = 'agent') {
+  callCounter += 1;
+  const call = {
+    id: `${Date.now().toString(36)}-${callCounter}`,
+    tool: toolName,
+    kind,
+    caller: consumeExpectedCaller(toolName) || fallbackCaller,
+    input: toLoggable(input),
+    status: 'pending',
+    ts: new Date().toISOString(),
+    url: location.href,
+    startedAt: performance.now()
+  };
+  pendingCalls.set(call.id, call);
+  emit('start', call);
+  return call;
+}
+
+function endCall(call, outcome) {
+  if (!pendingCalls.has(call.id)) return;
+  pendingCalls.delete(call.id);
+
+  call.durationMs = Math.round(performance.now() - call.startedAt);
+  if (outcome.status) {
+    call.status = outcome.status;
+  } else if (outcome.error !== undefined) {
+    call.status = 'error';
+  } else {
+    call.status = 'success';
+  }
+  if (outcome.error !== undefined) call.error = errorToString(outcome.error);
+  if (outcome.output !== undefined) call.output = serializeResult(outcome.output, CALL_OUTPUT_LIMITS);
+  if (outcome.note) call.note = outcome.note;
+  emit('end', call);
+}
+
+// ---- Imperative tools -------------------------------------------------------
+
+function wrapTool(tool) {
+  if (!tool || typeof tool !== 'object' || typeof tool.execute !== 'function' || tool.execute[WRAPPED]) {
+    return tool;
+  }
+
+  const execute = tool.execute;
+  const toolName = String(tool.name || '(unnamed_tool)');
+  const wrapped = async function (input, ...rest) {
+    const call = beginCall(toolName, 'imperative', input);
+    try {
+      const output = await execute.call(this, input, ...rest);
+      endCall(call, { output });
+      return output;
+    } catch (error) {
+      endCall(call, { error });
+      throw error;
+    }
+  };
+  wrapped[WRAPPED] = true;
+
+  return { ...tool, execute: wrapped };
+}
+
+function patchMethod(target, name, createReplacement) {
+  try {
+    const original = target?.[name];
+    if (typeof original !== 'function' || original[WRAPPED]) return;
+    const replacement = createReplacement(original);
+    replacement[WRAPPED] = true;
+    Object.defineProperty(target, name, { value: replacement, configurable: true, writable: true });
+  } catch (error) {
+    console.debug(`[WebMCP Inspector] Could not hook ${name}:`, error);
+  }
+}
+
+function notifyRegistryChanged() {
+  document.dispatchEvent(new CustomEvent(REGISTRY_CHANGED_EVENT));
+}
+
+function toolKey(tool) {
+  return String(tool?.name || '(unnamed_tool)');
+}
+
+function hookModelContext() {
+  let api = null;
+  try {
+    api = navigator.modelContext || null;
+  } catch {
+    api = null;
+  }
+  if (!api) return;
+
+  // Registry entries are recorded only after the browser accepted the call.
+  patchMethod(api, 'registerTool', (original) => function (tool, ...rest) {
+    const wrapped = wrapTool(tool);
+    const result = original.call(this, wrapped, ...rest);
+    if (wrapped && typeof wrapped === 'object') {
+      registry.registered.set(toolKey(wrapped), wrapped);
+      notifyRegistryChanged();
+    }
+    return result;
+  });
+
+  patchMethod(api, 'unregisterTool', (original) => function (name, ...rest) {
+    const result = original.call(this, name, ...rest);
+    registry.registered.delete(String(typeof name === 'object' ? name?.name : name));
+    notifyRegistryChanged();
+    return result;
+  });
+
+  patchMethod(api, 'provideContext', (original) => function (context, ...rest) {
+    if (context && typeof context === 'object' && Array.isArray(context.tools)) {
+      const tools = context.tools.map(wrapTool);
+      const result = original.call(this, { ...context, tools }, ...rest);
+      registry.provided = new Map(
+        tools.filter((tool) => tool && typeof tool === 'object').map((tool) => [toolKey(tool), tool])
+      );
+      registry.context = { ...context, tools };
+      notifyRegistryChanged();
+      return result;
+    }
+    return original.call(this, context, ...rest);
+  });
+
+  patchMethod(api, 'clearContext', (original) => function (...args) {
+    const result = original.apply(this, args);
+    registry.provided.clear();
+    registry.context = null;
+    notifyRegistryChanged();
+    return result;
+  });
+}
+
+function listRegistryTools() {
+  const merged = new Map([...registry.provided, ...registry.registered]);
+  return [...merged.values()].map((tool) => ({
+    name: toolKey(tool),
+    description: typeof tool.description === 'string' ? tool.description : '',
+    inputSchema: toLoggable(tool.inputSchema) ?? { type: 'object', properties: {} },
+    ...(tool.annotations && typeof tool.annotations === 'object' ? { annotations: toLoggable(tool.annotations) } : {})
+  }));
+}
+
+async function executeRegistryTool(name, inputArgs) {
+  const tool = registry.registered.get(name) || registry.provided.get(name);
+  if (!tool) {
+    throw new Error(`Tool "${name}" is not registered on this page`);
+  }
+  if (typeof tool.execute !== 'function') {
+    throw new Error(`Tool "${name}" has no execute callback`);
+  }
+
+  const input = typeof inputArgs === 'string' ? JSON.parse(inputArgs || '{}') : (inputArgs ?? {});
+  // Stand-in for the browser's ModelContextClient when the inspector invokes directly.
+  const client = {
+    requestUserInteraction: async (callback) => callback()
+  };
+  return tool.execute(input, client);
+}
+
+/**
+ * JSON view of the provided context; execute callbacks are dropped.
+ */
+function serializeContext() {
+  return registry.context ? toLoggable(registry.context) : null;
+}
+
+function getModelContextMethod(name) {
+  const api = navigator.modelContext;
+  if (!api || typeof api[name] !== 'function') {
+    throw new Error(`navigator.modelContext.${name}() is not available on this page`);
+  }
+  return api[name].bind(api);
+}
+
+/**
+ * Push an edited bundle through provideContext(). Tools keep the execute callback
+ * of the provided tool with the same name; new tools get one that reports it has none.
+ */
+function provideEditedContext(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    throw new Error('Context bundle must be a JSON object');
+  }
+
+  const tools = (Array.isArray(bundle.tools) ? bundle.tools : []).map((tool) => {
+    const existing = registry.provided.get(toolKey(tool)) || registry.registered.get(toolKey(tool));
+    return {
+      ...tool,
+      execute: existing?.execute || (async () => {
+        throw new Error(`Tool "${toolKey(tool)}" was added from the inspector and has no execute callback`);
+      })
+    };
+  });
+
+  const before = serializeContext();
+  getModelContextMethod('provideContext')({ ...bundle, tools });
+  return { before, after: serializeContext() };
+}
+
+function clearProvidedContext() {
+  const before = serializeContext();
+  getModelContextMethod('clearContext')();
+  return { before, after: serializeContext() };
+}
+
+// ---- Mock tools -------------------------------------------------------------
+
+const mockNames = new Set();
+
+function lookupTemplatePath(input, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), { input });
+}
+
+/**
+ * Fill `{{input.path}}` placeholders: a quoted placeholder becomes the JSON value,
+ * one inside a longer string is inlined as text. Non-JSON output is returned as text.
+ */
+function renderJsonTemplate(template, input) {
+  let text = String(template).replace(/"\{\{\s*([\w.$-]+)\s*\}\}"/g, (_, path) => (
+    JSON.stringify(lookupTemplatePath(input, path) ?? null)
+  ));
+  text = text.replace(/\{\{\s*([\w.$-]+)\s*\}\}/g, (_, path) => {
+    const value = lookupTemplatePath(input, path);
+    const inline = value === null || value === undefined
+      ? ''
+      : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return JSON.stringify(inline).slice(1, -1);
+  });
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function buildMockExecute(mock) {
+  if (mock.responseType === 'js') {
+    let handler;
+    try {
+      handler = new Function('input', 'client', `"use strict";\n${mock.response}`);
+    } catch (error) {
+      throw new Error(
+        `Mock response script failed to compile: ${errorToString(error)}. ` +
+        'If the page CSP blocks eval, use a JSON template instead.'
+      );
+    }
+    return async (input, client) => handler(input, client);
+  }
+  return async (input) => renderJsonTemplate(mock.response, input);
+}
+
+function registerMockTool(mock) {
+  const name = toolKey(mock);
+  if (registry.registered.has(name) && !mockNames.has(name)) {
+    throw new Error(`The page already registered a tool named "${name}"`);
+  }
+
+  if (mockNames.has(name)) {
+    getModelContextMethod('unregisterTool')(name);
+    mockNames.delete(name);
+  }
+
+  getModelContextMethod('registerTool')({
+    name,
+    description: String(mock.description || ''),
+    inputSchema: mock.inputSchema ?? { type: 'object', properties: {} },
+    execute: buildMockExecute(mock)
+  });
+  mockNames.add(name);
+  return { registered: [...mockNames] };
+}
+
+function unregisterMockTool(name) {
+  if (!mockNames.has(name)) {
+    throw new Error(`"${name}" is not a mock tool registered by the inspector`);
+  }
+  getModelContextMethod('unregisterTool')(name);
+  mockNames.delete(name);
+  return { registered: [...mockNames] };
+}
+
+function respondToRegistry(id, payload) {
+  document.dispatchEvent(new CustomEvent(REGISTRY_RESPONSE_EVENT, {
+    detail: JSON.stringify({ id, ...payload })
+  }));
+}
+
+function setupRegistryBridge() {
+  document.addEventListener(REGISTRY_REQUEST_EVENT, async (event) => {
+    let request = null;
+    try {
+      request = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+    if (!request?.id) return;
+
+    try {
+      let result;
+      if (request.op === 'list') {
+        result = listRegistryTools();
+      } else if (request.op === 'execute') {
+        result = serializeResult(await executeRegistryTool(String(request.name || ''), request.inputArgs), request.limits);
+      } else if (request.op === 'register-mock') {
+        result = registerMockTool(request.mock || {});
+      } else if (request.op === 'unregister-mock') {
+        result = unregisterMockTool(String(request.name || ''));
+      } else if (request.op === 'list-mocks') {
+        result = { registered: [...mockNames] };
+      } else if (request.op === 'get-context') {
+        result = { context: serializeContext() };
+      } else if (request.op === 'provide-context') {
+        result = provideEditedContext(request.bundle);
+      } else if (request.op === 'clear-context') {
+        result = clearProvidedContext();
+      } else {
+        throw new Error(`Unknown registry operation: ${request.op}`);
+      }
+      respondToRegistry(request.id, { ok: true, result: result === undefined ? null : result });
+    } catch (error) {
+      respondToRegistry(request.id, { ok: false, error: errorToString(error) });
+    }
+  });
+}
+
+function hookTestingApi() {
+  let testing = null;
+  try {
+    testing = navigator.modelContextTesting || null;
+  } catch {
+    testing = null;
+  }
+  if (!testing) return;
+
+  // Calls through the main-world testing API come from page code or another
+  // extension's main-world script, not from the browser's agent.
+  patchMethod(testing, 'executeTool', (original) => function (toolName, ...rest) {
+    expectCaller(String(toolName), 'page-script');
+    return original.call(this, toolName, ...rest);
+  });
+}
+
+// ---- Declarative tools ------------------------------------------------------
+
+function formDataToObject(form, submitter) {
+  const out = {};
+  let data;
+  try {
+    data = new FormData(form, submitter || undefined);
+  } catch {
+    data = new FormData(form);
+  }
+
+  for (const [key, value] of data.entries()) {
+    const normalized = toLoggable(value);
+    if (Object.prototype.hasOwnProperty.call(out, key)) {
+      out[key] = Array.isArray(out[key]) ? [...out[key], normalized] : [out[key], normalized];
+    } else {
+      out[key] = normalized;
+    }
+  }
+  return out;
+}
+
+function hookFormSubmissions() {
+  window.addEventListener('submit', (event) => {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement) || !form.hasAttribute('toolname')) return;
+
+    const toolName = form.getAttribute('toolname');
+    const call = beginCall(
+      toolName,
+      'declarative',
+      formDataToObject(form, event.submitter),
+      event.agentInvoked ? 'agent' : 'user'
+    );
+    submitCalls.set(event, call);
+
+    // Page listeners run after this capture listener; if none of them answered
+    // through respondWith(), the submission is a plain navigation.
+    setTimeout(() => {
+      if (call.responded) return;
+      endCall(call, {
+        status: event.defaultPrevented ? 'success' : 'submitted',
+        note: event.defaultPrevented ? 'Submission handled by page script' : 'Form submitted (navigation)'
+      });
+    }, 0);
+  }, true);
+
+  const proto = typeof SubmitEvent !== 'undefined' ? SubmitEvent.prototype : null;
+  patchMethod(proto, 'respondWith', (original) => function (response, ...rest) {
+    const call = submitCalls.get(this);
+    if (call) {
+      call.responded = true;
+      Promise.resolve(response).then(
+        (output) => endCall(call, { output }),
+        (error) => endCall(call, { error })
+      );
+    }
+    return original.call(this, response, ...rest);
+  });
+}
+
+// ---- Agent lifecycle events -------------------------------------------------
+
+window.addEventListener('toolcancel', (event) => {
+  const toolName = event.toolName;
+  const pending = [...pendingCalls.values()].reverse().find((call) => call.tool === toolName);
+  if (pending) {
+    endCall(pending, { status: 'cancelled', note: 'Cancelled by the agent' });
+  }
+});
+
+document.addEventListener(EXPECT_CALL_EVENT, (event) => {
+  try {
+    const { tool, caller } = JSON.parse(event.detail);
+    if (tool) expectCaller(String(tool), String(caller || 'inspector'));
+  } catch {
+    // Malformed announcement; ignore.
+  }
+});
+
+setupRegistryBridge();
+hookModelContext();
+hookTestingApi();
+hookFormSubmissions();
+})();
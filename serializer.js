@@ -0,0 +1,180 @@
+(() => {
+/**
+ * Copyright 2026 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Result Serializer
+ * Loaded before content.js (isolated world) and page-hook.js (main world) so
+ * both turn tool results into the same tagged JSON. Classic script: exposes
+ * itself on a well-known global symbol instead of exporting.
+ */
+
+const SERIALIZER_KEY = Symbol.for('webmcp-inspector.serializer');
+if (globalThis[SERIALIZER_KEY]) {
+  return;
+}
+
+// Result serializer limits; the side panel may override them per call
+const DEFAULT_RESULT_LIMITS = {
+  maxDepth: 12,
+  maxEntries: 1000,
+  maxStringLength: 100000
+};
+const NODE_TEXT_PREVIEW_LENGTH = 120;
+
+function resolveResultLimits(limits) {
+  const resolved = { ...DEFAULT_RESULT_LIMITS };
+  for (const key of Object.keys(DEFAULT_RESULT_LIMITS)) {
+    const value = Number(limits?.[key]);
+    if (Number.isFinite(value) && value > 0) resolved[key] = Math.floor(value);
+  }
+  return resolved;
+}
+
+function constructorName(value) {
+  try {
+    const proto = Object.getPrototypeOf(value);
+    return proto?.constructor?.name || 'Object';
+  } catch {
+    return 'Object';
+  }
+}
+
+/**
+ * Short CSS path for an element, anchored at the nearest id.
+ */
+function describeElementSelector(element) {
+  const escape = (text) => (typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(text) : text);
+  const parts = [];
+  let current = element;
+  while (current && current.nodeType === 1 && parts.length < 5) {
+    const tag = current.tagName.toLowerCase();
+    if (current.id) {
+      parts.unshift(`${tag}#${escape(current.id)}`);
+      break;
+    }
+    const parent = current.parentElement;
+    const sameTag = parent ? [...parent.children].filter((child) => child.tagName === current.tagName) : [];
+    parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+    current = parent;
+  }
+  return parts.join(' > ');
+}
+
+/**
+ * JSON-safe copy of a tool result. Values JSON cannot carry are tagged, e.g.
+ * `{ $type: 'Map', size, entries }`, so the side panel can show what came back.
+ */
+function serializeResult(value, limits) {
+  const { maxDepth, maxEntries, maxStringLength } = resolveResultLimits(limits);
+  const seen = new WeakSet();
+
+  const truncated = (total) => (total > maxEntries ? { truncated: total - maxEntries } : {});
+
+  const visit = (current, depth) => {
+    if (current === null) return null;
+
+    const valueType = typeof current;
+    if (valueType === 'string') {
+      return current.length > maxStringLength
+        ? { $type: 'TruncatedString', length: current.length, value: current.slice(0, maxStringLength) }
+        : current;
+    }
+    if (valueType === 'number') {
+      return Number.isFinite(current) && !Object.is(current, -0)
+        ? current
+        : { $type: 'Number', value: Object.is(current, -0) ? '-0' : String(current) };
+    }
+    if (valueType === 'boolean') return current;
+    if (valueType === 'undefined') return { $type: 'undefined' };
+    if (valueType === 'bigint') return { $type: 'BigInt', value: current.toString() };
+    if (valueType === 'symbol') return { $type: 'Symbol', description: current.description ?? '' };
+    if (valueType === 'function') return { $type: 'Function', name: current.name || '(anonymous)' };
+
+    if (seen.has(current)) return { $type: 'Circular' };
+    if (depth >= maxDepth) return { $type: 'MaxDepth', className: constructorName(current) };
+
+    if (current instanceof Date) {
+      return { $type: 'Date', value: Number.isNaN(current.getTime()) ? 'Invalid Date' : current.toISOString() };
+    }
+    if (current instanceof RegExp) {
+      return { $type: 'RegExp', source: current.source, flags: current.flags };
+    }
+    if (typeof Node !== 'undefined' && current instanceof Node) {
+      const text = String(current.textContent || '').trim().replace(/\s+/g, ' ');
+      return {
+        $type: current.nodeType === 1 ? 'Element' : 'Node',
+        ...(current.nodeType === 1 ? { selector: describeElementSelector(current) } : { nodeName: current.nodeName }),
+        text: text.length > NODE_TEXT_PREVIEW_LENGTH ? `${text.slice(0, NODE_TEXT_PREVIEW_LENGTH - 1)}…` : text
+      };
+    }
+
+    seen.add(current);
+    try {
+      if (current instanceof Error || (typeof DOMException !== 'undefined' && current instanceof DOMException)) {
+        return {
+          $type: 'Error',
+          name: current.name,
+          message: current.message,
+          ...(current.stack ? { stack: String(current.stack) } : {}),
+          ...(current.cause !== undefined ? { cause: visit(current.cause, depth + 1) } : {})
+        };
+      }
+      if (current instanceof Map) {
+        const entries = [...current].slice(0, maxEntries)
+          .map(([key, entry]) => [visit(key, depth + 1), visit(entry, depth + 1)]);
+        return { $type: 'Map', size: current.size, entries, ...truncated(current.size) };
+      }
+      if (current instanceof Set) {
+        const values = [...current].slice(0, maxEntries).map((entry) => visit(entry, depth + 1));
+        return { $type: 'Set', size: current.size, values, ...truncated(current.size) };
+      }
+      if (current instanceof ArrayBuffer) {
+        const bytes = new Uint8Array(current, 0, Math.min(current.byteLength, maxEntries));
+        return { $type: 'ArrayBuffer', byteLength: current.byteLength, values: [...bytes], ...truncated(current.byteLength) };
+      }
+      if (ArrayBuffer.isView(current)) {
+        if (current instanceof DataView) return { $type: 'DataView', byteLength: current.byteLength };
+        const values = Array.from(current.subarray(0, maxEntries), (entry) => (
+          typeof entry === 'bigint' ? entry.toString() : entry
+        ));
+        return { $type: constructorName(current), length: current.length, values, ...truncated(current.length) };
+      }
+      if (Array.isArray(current)) {
+        const items = [];
+        for (let index = 0; index < Math.min(current.length, maxEntries); index += 1) {
+          items.push(visit(current[index], depth + 1));
+        }
+        if (current.length > maxEntries) {
+          items.push({ $type: 'Truncated', remaining: current.length - maxEntries });
+        }
+        return items;
+      }
+
+      const keys = Object.keys(current);
+      const out = {};
+      for (const key of keys.slice(0, maxEntries)) {
+        out[key] = visit(current[key], depth + 1);
+      }
+      if (keys.length > maxEntries) {
+        out.$truncated = keys.length - maxEntries;
+      }
+
+      const proto = Object.getPrototypeOf(current);
+      if (proto !== Object.prototype && proto !== null) {
+        return { $type: 'Instance', className: constructorName(current), value: out };
+      }
+      // A page object that already uses `$type` would read as one of ours.
+      return Object.prototype.hasOwnProperty.call(out, '$type') ? { $type: 'Object', value: out } : out;
+    } finally {
+      seen.delete(current);
+    }
+  };
+
+  return visit(value, 0);
+}
+
+Object.defineProperty(globalThis, SERIALIZER_KEY, {
+  value: Object.freeze({ serializeResult })
+});
+})();
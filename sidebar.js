@@ -5,7 +5,26 @@
  * WebMCP Inspector - Side Panel App
  */
 
-import { aiManager, settingsManager } from './js/index.js';
+import {
+  aiManager,
+  settingsManager,
+  historyStore,
+  presetStore,
+  mockToolStore,
+  validateAgainstSchema,
+  dereferenceSchema,
+  checkFormSchemaConsistency,
+  lintTools,
+  LINT_SEVERITIES,
+  SchemaForm,
+  ResultViewer,
+  diffJson,
+  describeJsonChange,
+  toolKey,
+  resultStore,
+  fitResultToBudget,
+  AIProvider
+} from './js/index.js';
 
 const PROVIDER_COLORS = {
   gemini: '#4285f4',
@@ -14,6 +33,12 @@ const PROVIDER_COLORS = {
   ollama: '#ff6b6b'
 };
 
+// How long the page overlay stays up after selecting a declarative tool
+const FORM_HIGHLIGHT_MS = 2500;
+
+// Grace period on top of the tool timeout before the panel gives up on a reply itself
+const EXECUTION_BACKSTOP_MS = 2000;
+
 class SidePanelApp {
   constructor() {
     this.tools = [];
@@ -22,6 +47,28 @@ class SidePanelApp {
     this.aiMessages = [];
     this.trace = [];
     this.currentProviderId = null;
+    this.pendingApprovals = new Set();
+    // Aborted on reset so a running agent loop stops writing into the new conversation
+    this.aiRun = null;
+    this.historyEntries = [];
+    this.selectedHistoryEntry = null;
+    this.mockTools = [];
+    this.registeredMockNames = [];
+    this.selectedMockId = null;
+    this.modelContext = null;
+    this.contextFrameId = 0;
+    this.toolCalls = [];
+    this.toolCallsTabId = null;
+    this.selectedToolCallId = null;
+    this.toolPresets = [];
+    this.toolInputView = 'json';
+    this.frames = [];
+    this.toolChanges = [];
+    // In-flight EXECUTE_TOOL requests by execution id: { source: 'manual'|'ai', stop }
+    this.pendingExecutions = new Map();
+    // null (no report), 'page', or the name of the linted tool
+    this.lintScope = null;
+    this.lintFindings = [];
 
     this.dom = {
       globalStatus: document.getElementById('globalStatus'),
@@ -34,36 +81,136 @@ class SidePanelApp {
 
       headerRefreshBtn: document.getElementById('headerRefreshBtn'),
       toolsRefreshBtn: document.getElementById('toolsRefreshBtn'),
+      toolsLintAllBtn: document.getElementById('toolsLintAllBtn'),
+      lintReportCard: document.getElementById('lintReportCard'),
+      lintReportTitle: document.getElementById('lintReportTitle'),
+      lintReportSummary: document.getElementById('lintReportSummary'),
+      lintReportGroups: document.getElementById('lintReportGroups'),
+      lintReportCopyBtn: document.getElementById('lintReportCopyBtn'),
+      lintReportCloseBtn: document.getElementById('lintReportCloseBtn'),
+      lintSelectedToolBtn: document.getElementById('lintSelectedToolBtn'),
       toolSearchInput: document.getElementById('toolSearchInput'),
       imperativeCount: document.getElementById('imperativeCount'),
       declarativeCount: document.getElementById('declarativeCount'),
       imperativeToolList: document.getElementById('imperativeToolList'),
       declarativeToolList: document.getElementById('declarativeToolList'),
+      frameCount: document.getElementById('frameCount'),
+      frameTree: document.getElementById('frameTree'),
+      toolChangeCount: document.getElementById('toolChangeCount'),
+      toolChangeClearBtn: document.getElementById('toolChangeClearBtn'),
+      toolChangeList: document.getElementById('toolChangeList'),
 
       selectedToolName: document.getElementById('selectedToolName'),
       selectedToolDescription: document.getElementById('selectedToolDescription'),
       selectedToolType: document.getElementById('selectedToolType'),
       selectedToolReadOnly: document.getElementById('selectedToolReadOnly'),
       selectedToolSource: document.getElementById('selectedToolSource'),
+      selectedToolFrame: document.getElementById('selectedToolFrame'),
       selectedToolSchema: document.getElementById('selectedToolSchema'),
+      formInspector: document.getElementById('formInspector'),
+      formHighlightBtn: document.getElementById('formHighlightBtn'),
+      formInspectorAction: document.getElementById('formInspectorAction'),
+      formInspectorMethod: document.getElementById('formInspectorMethod'),
+      formInspectorTarget: document.getElementById('formInspectorTarget'),
+      formInspectorAutoSubmit: document.getElementById('formInspectorAutoSubmit'),
+      formInspectorFields: document.getElementById('formInspectorFields'),
+      formConsistencyReport: document.getElementById('formConsistencyReport'),
+      formConsistencySummary: document.getElementById('formConsistencySummary'),
+      formConsistencyList: document.getElementById('formConsistencyList'),
+      toolSchemaNotes: document.getElementById('toolSchemaNotes'),
+      toolSchemaNotesSummary: document.getElementById('toolSchemaNotesSummary'),
+      toolSchemaNotesList: document.getElementById('toolSchemaNotesList'),
       toolInputArgs: document.getElementById('toolInputArgs'),
+      toolInputForm: document.getElementById('toolInputForm'),
+      toolInputFormViewBtn: document.getElementById('toolInputFormViewBtn'),
+      toolInputJsonViewBtn: document.getElementById('toolInputJsonViewBtn'),
+      toolValidationReport: document.getElementById('toolValidationReport'),
+      toolValidationSummary: document.getElementById('toolValidationSummary'),
+      toolValidationErrors: document.getElementById('toolValidationErrors'),
+      toolValidationActions: document.getElementById('toolValidationActions'),
+      toolValidationRunAnywayBtn: document.getElementById('toolValidationRunAnywayBtn'),
+      toolValidationAutoFixBtn: document.getElementById('toolValidationAutoFixBtn'),
+      toolValidationCancelBtn: document.getElementById('toolValidationCancelBtn'),
       toolInputResetBtn: document.getElementById('toolInputResetBtn'),
+      toolPresetSelect: document.getElementById('toolPresetSelect'),
+      presetSaveBtn: document.getElementById('presetSaveBtn'),
+      presetRenameBtn: document.getElementById('presetRenameBtn'),
+      presetDeleteBtn: document.getElementById('presetDeleteBtn'),
+      presetExportBtn: document.getElementById('presetExportBtn'),
+      presetImportBtn: document.getElementById('presetImportBtn'),
+      presetImportFile: document.getElementById('presetImportFile'),
       toolCopyJsonBtn: document.getElementById('toolCopyJsonBtn'),
       toolExecuteBtn: document.getElementById('toolExecuteBtn'),
+      toolFillOnlyBtn: document.getElementById('toolFillOnlyBtn'),
+      toolCancelBtn: document.getElementById('toolCancelBtn'),
       toolExecutionResult: document.getElementById('toolExecutionResult'),
       copySelectedToolBtn: document.getElementById('copySelectedToolBtn'),
 
+      callsCount: document.getElementById('callsCount'),
+      callsClearBtn: document.getElementById('callsClearBtn'),
+      callsCallerFilter: document.getElementById('callsCallerFilter'),
+      callsStatusFilter: document.getElementById('callsStatusFilter'),
+      callsList: document.getElementById('callsList'),
+      callsDetailTitle: document.getElementById('callsDetailTitle'),
+      callsDetail: document.getElementById('callsDetail'),
+
+      mockCount: document.getElementById('mockCount'),
+      mockNewBtn: document.getElementById('mockNewBtn'),
+      mockList: document.getElementById('mockList'),
+      mockEditorTitle: document.getElementById('mockEditorTitle'),
+      mockName: document.getElementById('mockName'),
+      mockDescription: document.getElementById('mockDescription'),
+      mockInputSchema: document.getElementById('mockInputSchema'),
+      mockResponseType: document.getElementById('mockResponseType'),
+      mockResponse: document.getElementById('mockResponse'),
+      mockResponseHint: document.getElementById('mockResponseHint'),
+      mockAutoRegister: document.getElementById('mockAutoRegister'),
+      mockDeleteBtn: document.getElementById('mockDeleteBtn'),
+      mockUnregisterBtn: document.getElementById('mockUnregisterBtn'),
+      mockSaveBtn: document.getElementById('mockSaveBtn'),
+
+      contextFrameSelect: document.getElementById('contextFrameSelect'),
+      contextReloadBtn: document.getElementById('contextReloadBtn'),
+      contextStatus: document.getElementById('contextStatus'),
+      contextEditor: document.getElementById('contextEditor'),
+      contextRevertBtn: document.getElementById('contextRevertBtn'),
+      contextClearBtn: document.getElementById('contextClearBtn'),
+      contextProvideBtn: document.getElementById('contextProvideBtn'),
+      contextDiffCard: document.getElementById('contextDiffCard'),
+      contextDiffTitle: document.getElementById('contextDiffTitle'),
+      contextDiffSummary: document.getElementById('contextDiffSummary'),
+      contextDiffList: document.getElementById('contextDiffList'),
+
+      historyClearBtn: document.getElementById('historyClearBtn'),
+      historyOriginFilter: document.getElementById('historyOriginFilter'),
+      historyToolFilter: document.getElementById('historyToolFilter'),
+      historyStatusFilter: document.getElementById('historyStatusFilter'),
+      historySearchInput: document.getElementById('historySearchInput'),
+      historyList: document.getElementById('historyList'),
+      historyDetailTitle: document.getElementById('historyDetailTitle'),
+      historyDetail: document.getElementById('historyDetail'),
+      historyRerunBtn: document.getElementById('historyRerunBtn'),
+      historyRerunNormalizedBtn: document.getElementById('historyRerunNormalizedBtn'),
+      historyViewResultBtn: document.getElementById('historyViewResultBtn'),
+
       aiProviderLabel: document.getElementById('aiProviderLabel'),
       goToSettingsBtn: document.getElementById('goToSettingsBtn'),
       chatTranscript: document.getElementById('chatTranscript'),
       aiPromptInput: document.getElementById('aiPromptInput'),
       aiSendBtn: document.getElementById('aiSendBtn'),
+      aiCancelToolBtn: document.getElementById('aiCancelToolBtn'),
       aiResetBtn: document.getElementById('aiResetBtn'),
       aiCopyTraceBtn: document.getElementById('aiCopyTraceBtn'),
 
       settingTheme: document.getElementById('settingTheme'),
       settingAutoOpen: document.getElementById('settingAutoOpen'),
       settingNotifications: document.getElementById('settingNotifications'),
+      settingToolTimeout: document.getElementById('settingToolTimeout'),
+      settingResultMaxDepth: document.getElementById('settingResultMaxDepth'),
+      settingResultMaxEntries: document.getElementById('settingResultMaxEntries'),
+      settingResultMaxStringLength: document.getElementById('settingResultMaxStringLength'),
+      settingToolApproval: document.getElementById('settingToolApproval'),
+      settingToolResultBudget: document.getElementById('settingToolResultBudget'),
       saveGeneralSettingsBtn: document.getElementById('saveGeneralSettingsBtn'),
 
       providerCards: document.getElementById('providerCards'),
@@ -72,6 +219,8 @@ class SidePanelApp {
       providerApiKey: document.getElementById('providerApiKey'),
       providerServerUrl: document.getElementById('providerServerUrl'),
       providerOrganization: document.getElementById('providerOrganization'),
+      providerStrictSchemasRow: document.getElementById('providerStrictSchemasRow'),
+      providerStrictSchemas: document.getElementById('providerStrictSchemas'),
       providerModelSelect: document.getElementById('providerModelSelect'),
       providerTemperature: document.getElementById('providerTemperature'),
       providerMaxTokens: document.getElementById('providerMaxTokens'),
@@ -87,6 +236,13 @@ class SidePanelApp {
       helpOllamaExportBlock: document.getElementById('helpOllamaExportBlock'),
       helpOllamaCurlBlock: document.getElementById('helpOllamaCurlBlock')
     };
+
+    this.schemaForm = new SchemaForm(this.dom.toolInputForm, {
+      onChange: (value) => this.onSchemaFormChange(value)
+    });
+    this.resultViewer = new ResultViewer(this.dom.toolExecutionResult, {
+      onStatus: (message, type) => this.showStatus(message, type, 1500)
+    });
   }
 
   async init() {
@@ -159,15 +315,44 @@ class SidePanelApp {
 
     this.dom.headerRefreshBtn.addEventListener('click', () => this.refreshTools(true));
     this.dom.toolsRefreshBtn.addEventListener('click', () => this.refreshTools(true));
+    this.dom.toolChangeClearBtn.addEventListener('click', () => this.clearToolChanges());
+    this.dom.toolsLintAllBtn.addEventListener('click', () => this.runLint('page'));
+    this.dom.lintSelectedToolBtn.addEventListener('click', () => {
+      if (this.selectedTool) this.runLint(this.selectedTool.name);
+    });
+    this.dom.lintReportCopyBtn.addEventListener('click', () => this.copyLintReport());
+    this.dom.lintReportCloseBtn.addEventListener('click', () => this.closeLintReport());
     this.dom.toolSearchInput.addEventListener('input', () => this.renderToolLists());
 
+    this.dom.formHighlightBtn.addEventListener('click', () => this.highlightToolForm(null, FORM_HIGHLIGHT_MS));
+
+    this.dom.toolInputArgs.addEventListener('input', () => this.validateToolInput());
+    this.dom.toolInputFormViewBtn.addEventListener('click', () => this.setToolInputView('form'));
+    this.dom.toolInputJsonViewBtn.addEventListener('click', () => this.setToolInputView('json'));
+    this.dom.toolValidationRunAnywayBtn.addEventListener('click', () => {
+      this.executeSelectedTool({ skipValidation: true });
+    });
+    this.dom.toolValidationAutoFixBtn.addEventListener('click', () => this.autoFixToolInput());
+    this.dom.toolValidationCancelBtn.addEventListener('click', () => {
+      this.dom.toolValidationActions.hidden = true;
+    });
     this.dom.toolInputResetBtn.addEventListener('click', () => this.resetToolInputToTemplate());
+    this.dom.toolPresetSelect.addEventListener('change', () => this.applySelectedPreset());
+    this.dom.presetSaveBtn.addEventListener('click', () => this.saveToolPreset());
+    this.dom.presetRenameBtn.addEventListener('click', () => this.renameToolPreset());
+    this.dom.presetDeleteBtn.addEventListener('click', () => this.deleteToolPreset());
+    this.dom.presetExportBtn.addEventListener('click', () => this.exportToolPresets());
+    this.dom.presetImportBtn.addEventListener('click', () => this.dom.presetImportFile.click());
+    this.dom.presetImportFile.addEventListener('change', () => this.importToolPresets());
     this.dom.toolCopyJsonBtn.addEventListener('click', () => this.copyCurrentToolInput());
     this.dom.toolExecuteBtn.addEventListener('click', () => this.executeSelectedTool());
+    this.dom.toolCancelBtn.addEventListener('click', () => this.cancelToolExecutions('manual'));
+    this.dom.toolFillOnlyBtn.addEventListener('click', () => this.fillSelectedToolForm());
     this.dom.copySelectedToolBtn.addEventListener('click', () => this.copySelectedToolConfig());
 
     this.dom.goToSettingsBtn.addEventListener('click', () => this.setActiveTab('settings'));
     this.dom.aiSendBtn.addEventListener('click', () => this.sendAIMessage());
+    this.dom.aiCancelToolBtn.addEventListener('click', () => this.cancelToolExecutions('ai'));
     this.dom.aiResetBtn.addEventListener('click', () => this.resetAIConversation());
     this.dom.aiCopyTraceBtn.addEventListener('click', () => this.copyTrace());
     this.dom.aiPromptInput.addEventListener('keydown', (event) => {
@@ -177,6 +362,39 @@ class SidePanelApp {
       }
     });
 
+    this.dom.callsCallerFilter.addEventListener('change', () => this.renderToolCalls());
+    this.dom.callsStatusFilter.addEventListener('change', () => this.renderToolCalls());
+    this.dom.callsClearBtn.addEventListener('click', () => this.clearToolCalls());
+
+    this.dom.mockNewBtn.addEventListener('click', () => this.selectMockTool(null));
+    this.dom.mockResponseType.addEventListener('change', () => this.renderMockResponseHint());
+    this.dom.mockSaveBtn.addEventListener('click', () => this.saveMockTool());
+    this.dom.mockUnregisterBtn.addEventListener('click', () => this.unregisterMockTool());
+    this.dom.mockDeleteBtn.addEventListener('click', () => this.deleteMockTool());
+
+    this.dom.contextFrameSelect.addEventListener('change', () => {
+      this.contextFrameId = Number(this.dom.contextFrameSelect.value) || 0;
+      this.loadModelContext();
+    });
+    this.dom.contextReloadBtn.addEventListener('click', () => this.loadModelContext());
+    this.dom.contextRevertBtn.addEventListener('click', () => this.renderModelContextEditor());
+    this.dom.contextProvideBtn.addEventListener('click', () => this.provideModelContext());
+    this.dom.contextClearBtn.addEventListener('click', () => this.clearModelContext());
+
+    this.dom.historyOriginFilter.addEventListener('change', () => this.renderHistory());
+    this.dom.historyToolFilter.addEventListener('change', () => this.renderHistory());
+    this.dom.historyStatusFilter.addEventListener('change', () => this.renderHistory());
+    this.dom.historySearchInput.addEventListener('input', () => this.renderHistory());
+    this.dom.historyClearBtn.addEventListener('click', () => this.clearHistory());
+    this.dom.historyRerunBtn.addEventListener('click', () => this.rerunHistoryEntry());
+    this.dom.historyRerunNormalizedBtn.addEventListener('click', () => this.rerunHistoryEntry({ normalized: true }));
+    this.dom.historyViewResultBtn.addEventListener('click', () => this.viewHistoryResult());
+    historyStore.subscribe(() => {
+      if (this.activeTab === 'history') {
+        this.renderHistory();
+      }
+    });
+
     this.dom.saveGeneralSettingsBtn.addEventListener('click', () => this.saveGeneralSettings());
     this.dom.providerRefreshModelsBtn.addEventListener('click', () => this.refreshProviderModels());
     this.dom.providerTestBtn.addEventListener('click', () => this.testProviderConnection());
@@ -187,11 +405,14 @@ class SidePanelApp {
     chrome.runtime.onMessage.addListener((message) => {
       switch (message.type) {
         case 'TOOLS_UPDATE':
-          this.handleToolsUpdate(message.tools || [], message.url || '');
+          this.handleToolsUpdate(message.tools || [], message.url || '', message.frames || []);
           break;
         case 'STATUS_UPDATE':
           this.showStatus(message.message || '', message.messageType || 'info', 4000);
           break;
+        case 'TOOL_CALL':
+          this.handleToolCall(message);
+          break;
         case 'TOOL_EVENT':
           this.trace.push({
             ts: new Date().toISOString(),
@@ -207,6 +428,7 @@ class SidePanelApp {
   }
 
   setActiveTab(tabName) {
+    this.activeTab = tabName;
     this.dom.tabButtons.forEach((button) => {
       button.classList.toggle('active', button.dataset.tab === tabName);
     });
@@ -214,6 +436,19 @@ class SidePanelApp {
     this.dom.tabPanels.forEach((panel) => {
       panel.classList.toggle('active', panel.id === `tab-${tabName}`);
     });
+
+    if (tabName === 'history') {
+      this.renderHistory();
+    }
+    if (tabName === 'calls') {
+      this.loadToolCalls();
+    }
+    if (tabName === 'context') {
+      this.loadModelContext();
+    }
+    if (tabName === 'mocks') {
+      this.loadMockTools();
+    }
   }
 
   showStatus(message, type = 'info', timeoutMs = 0) {
@@ -259,7 +494,7 @@ class SidePanelApp {
       });
 
       if (response?.error) {
-        this.handleToolsUpdate([], response.url || '');
+        this.handleToolsUpdate([], response.url || '', []);
         this.setContext(response.url || '', false);
         this.showStatus(response.error, 'warning', 5000);
         return;
@@ -267,24 +502,29 @@ class SidePanelApp {
 
       const tools = Array.isArray(response?.tools) ? response.tools : [];
       const url = response?.url || '';
-      this.handleToolsUpdate(tools, url);
+      this.handleToolsUpdate(tools, url, Array.isArray(response?.frames) ? response.frames : []);
       this.showStatus(`Loaded ${tools.length} tool${tools.length === 1 ? '' : 's'}`, 'success', 2500);
     } catch (error) {
       this.showStatus(`Failed to load tools: ${error.message}`, 'error', 6000);
     }
   }
 
-  handleToolsUpdate(tools, url) {
+  handleToolsUpdate(rawTools, url, frames = []) {
+    const tools = rawTools.map((tool) => this.withFormIssues(tool));
     this.tools = tools;
+    this.frames = frames;
     this.dom.tabToolCount.textContent = String(tools.length);
     this.setContext(url, tools.length > 0);
 
     this.renderToolLists();
+    this.loadToolCalls();
+    this.loadToolChanges();
 
     if (!this.selectedTool && tools.length > 0) {
       this.selectTool(tools[0]);
     } else if (this.selectedTool) {
-      const updated = tools.find((tool) => tool.name === this.selectedTool.name);
+      const updated = tools.find((tool) => this.isSameTool(tool, this.selectedTool))
+        || tools.find((tool) => tool.name === this.selectedTool.name);
       if (updated) {
         this.selectTool(updated);
       } else {
@@ -295,6 +535,109 @@ class SidePanelApp {
     }
 
     this.updateAIProviderLabel();
+
+    if (this.lintScope) {
+      this.runLint(this.lintScope);
+    }
+  }
+
+  runLint(scope) {
+    if (scope !== 'page' && !this.tools.some((tool) => tool.name === scope)) {
+      this.closeLintReport();
+      return;
+    }
+
+    const findings = lintTools(this.tools);
+    this.lintScope = scope;
+    this.lintFindings = scope === 'page' ? findings : findings.filter((finding) => finding.tool === scope);
+    this.renderLintReport();
+  }
+
+  closeLintReport() {
+    this.lintScope = null;
+    this.lintFindings = [];
+    this.dom.lintReportCard.hidden = true;
+  }
+
+  renderLintReport() {
+    const findings = this.lintFindings;
+    const toolCount = this.lintScope === 'page' ? this.tools.length : 1;
+
+    this.dom.lintReportCard.hidden = false;
+    this.dom.lintReportTitle.textContent = this.lintScope === 'page'
+      ? 'Quality Report: all tools'
+      : `Quality Report: ${this.lintScope}`;
+    this.dom.lintReportGroups.innerHTML = '';
+
+    const counts = LINT_SEVERITIES.map((severity) => {
+      const count = findings.filter((finding) => finding.severity === severity).length;
+      return `${count} ${severity}${count === 1 ? '' : 's'}`;
+    });
+    this.dom.lintReportSummary.textContent = findings.length === 0
+      ? `No issues found in ${toolCount} tool${toolCount === 1 ? '' : 's'}.`
+      : `${counts.join(', ')} across ${toolCount} tool${toolCount === 1 ? '' : 's'}.`;
+
+    for (const severity of LINT_SEVERITIES) {
+      const group = findings.filter((finding) => finding.severity === severity);
+      if (group.length === 0) continue;
+
+      const section = document.createElement('div');
+      section.className = 'tool-group';
+
+      const header = document.createElement('div');
+      header.className = `group-header lint-${severity}`;
+      header.textContent = `${severity[0].toUpperCase()}${severity.slice(1)}s `;
+      const badge = document.createElement('span');
+      badge.className = 'badge badge-subtle';
+      badge.textContent = String(group.length);
+      header.appendChild(badge);
+      section.appendChild(header);
+
+      const list = document.createElement('div');
+      list.className = 'tool-list';
+      for (const finding of group) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'tool-item';
+
+        const name = document.createElement('div');
+        name.className = 'tool-item-name';
+        name.textContent = finding.tool || '(unnamed_tool)';
+
+        const desc = document.createElement('div');
+        desc.className = 'tool-item-desc';
+        desc.textContent = finding.message;
+
+        const meta = document.createElement('div');
+        meta.className = 'tool-item-meta';
+        meta.textContent = finding.path ? `${finding.rule} • ${finding.path}` : finding.rule;
+
+        item.appendChild(name);
+        item.appendChild(desc);
+        item.appendChild(meta);
+        item.addEventListener('click', () => this.selectToolByName(finding.tool));
+        list.appendChild(item);
+      }
+
+      section.appendChild(list);
+      this.dom.lintReportGroups.appendChild(section);
+    }
+  }
+
+  async copyLintReport() {
+    const payload = {
+      scope: this.lintScope,
+      url: this.currentUrl || '',
+      generatedAt: new Date().toISOString(),
+      findings: this.lintFindings
+    };
+
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(payload, null, 2));
+      this.showStatus('Copied quality report', 'success', 1500);
+    } catch (error) {
+      this.showStatus(`Clipboard failed: ${error.message}`, 'error', 3500);
+    }
   }
 
   renderToolLists() {
@@ -324,6 +667,73 @@ class SidePanelApp {
     if (declarative.length === 0) {
       this.appendEmptyGroupMessage(this.dom.declarativeToolList, 'No declarative tools found');
     }
+
+    this.renderFrameTree();
+  }
+
+  /**
+   * Tools are identified by name within the frame that registered them.
+   */
+  isSameTool(a, b) {
+    return !!a && !!b && a.name === b.name && (a.frameId ?? 0) === (b.frameId ?? 0);
+  }
+
+  describeToolFrame(tool) {
+    if (!tool || (tool.frameId ?? 0) === 0) return 'Top frame';
+    return `${tool.frameOrigin || 'unknown origin'} (frame ${tool.frameId})`;
+  }
+
+  renderFrameTree() {
+    this.dom.frameTree.innerHTML = '';
+    const frames = this.frames.filter((frame) => frame.frameId === 0 || frame.toolCount > 0);
+    this.dom.frameCount.textContent = String(frames.length);
+
+    if (frames.length === 0) {
+      this.appendEmptyGroupMessage(this.dom.frameTree, 'No frames reported');
+      return;
+    }
+
+    const byParent = new Map();
+    for (const frame of frames) {
+      const parentId = frames.some((entry) => entry.frameId === frame.parentFrameId) ? frame.parentFrameId : -1;
+      if (!byParent.has(parentId)) byParent.set(parentId, []);
+      byParent.get(parentId).push(frame);
+    }
+
+    const appendFrame = (frame, depth) => {
+      const item = document.createElement('div');
+      item.className = 'tool-item frame-item';
+      item.style.paddingLeft = `calc(var(--spacing-md) + ${depth * 16}px)`;
+
+      const name = document.createElement('div');
+      name.className = 'tool-item-name';
+      name.textContent = frame.frameId === 0
+        ? `Top frame • ${frame.origin || 'unknown origin'}`
+        : `Frame ${frame.frameId} • ${frame.origin || 'unknown origin'}`;
+
+      const desc = document.createElement('div');
+      desc.className = 'tool-item-desc';
+      desc.textContent = frame.url || '(no URL)';
+
+      const meta = document.createElement('div');
+      meta.className = 'tool-item-meta';
+      meta.textContent = frame.toolCount > 0
+        ? `${frame.toolCount} tool${frame.toolCount === 1 ? '' : 's'}: ${frame.toolNames.join(', ')}`
+        : 'No tools';
+
+      item.appendChild(name);
+      item.appendChild(desc);
+      item.appendChild(meta);
+      this.dom.frameTree.appendChild(item);
+
+      for (const child of byParent.get(frame.frameId) || []) {
+        appendFrame(child, depth + 1);
+      }
+    };
+
+    for (const root of byParent.get(-1) || []) {
+      appendFrame(root, 0);
+    }
   }
 
   renderToolGroup(container, tools) {
@@ -331,11 +741,20 @@ class SidePanelApp {
       const button = document.createElement('button');
       button.type = 'button';
       button.className = 'tool-item';
-      button.classList.toggle('active', this.selectedTool?.name === tool.name);
+      button.classList.toggle('active', this.isSameTool(this.selectedTool, tool));
 
       const name = document.createElement('div');
       name.className = 'tool-item-name';
       name.textContent = tool.name || '(unnamed_tool)';
+      const change = this.getLatestToolChange(tool);
+      if (change) {
+        const badge = document.createElement('span');
+        badge.className = `badge badge-${change.type}`;
+        badge.textContent = change.type === 'added' ? 'NEW' : 'CHANGED';
+        badge.title = change.fields ? `Changed: ${change.fields.join(', ')}` : 'Added by the latest update';
+        name.appendChild(document.createTextNode(' '));
+        name.appendChild(badge);
+      }
 
       const desc = document.createElement('div');
       desc.className = 'tool-item-desc';
@@ -344,6 +763,12 @@ class SidePanelApp {
       const meta = document.createElement('div');
       meta.className = 'tool-item-meta';
       meta.textContent = this.isDeclarativeTool(tool) ? 'HTML Form / Declarative' : 'JavaScript / Imperative';
+      if ((tool.frameId ?? 0) !== 0) {
+        meta.textContent += ` • ${this.describeToolFrame(tool)}`;
+      }
+      if (Array.isArray(tool.formIssues) && tool.formIssues.length > 0) {
+        meta.textContent += ` • ⚠ ${tool.formIssues.length} form/schema mismatch${tool.formIssues.length === 1 ? '' : 'es'}`;
+      }
 
       button.appendChild(name);
       button.appendChild(desc);
@@ -352,12 +777,107 @@ class SidePanelApp {
       button.addEventListener('click', () => {
         this.selectTool(tool);
         this.renderToolLists();
+        this.highlightToolForm(null, FORM_HIGHLIGHT_MS);
       });
 
       container.appendChild(button);
     }
   }
 
+  /**
+   * The change this tool got in the latest logged update, if any.
+   */
+  getLatestToolChange(tool) {
+    const latest = this.toolChanges[this.toolChanges.length - 1];
+    if (!latest) return null;
+    const key = toolKey(tool);
+    return latest.changes.find((change) => change.key === key && change.type !== 'removed') || null;
+  }
+
+  async loadToolChanges() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TOOL_CHANGES' });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      this.toolChanges = Array.isArray(response.entries) ? response.entries : [];
+    } catch (error) {
+      console.debug('[Sidebar] Failed to load tool changes:', error?.message || error);
+      this.toolChanges = [];
+    }
+    this.renderToolChanges();
+    this.renderToolLists();
+  }
+
+  async clearToolChanges() {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_TOOL_CHANGES' }).catch(() => {});
+    this.toolChanges = [];
+    this.renderToolChanges();
+    this.renderToolLists();
+  }
+
+  renderToolChanges() {
+    this.dom.toolChangeCount.textContent = String(this.toolChanges.length);
+    this.dom.toolChangeList.innerHTML = '';
+
+    if (this.toolChanges.length === 0) {
+      this.appendEmptyGroupMessage(this.dom.toolChangeList, 'No tool changes since the first snapshot');
+      return;
+    }
+
+    for (const entry of this.toolChanges.slice().reverse()) {
+      const item = document.createElement('div');
+      item.className = 'tool-item change-entry';
+
+      const counts = { added: 0, removed: 0, changed: 0 };
+      for (const change of entry.changes) counts[change.type] += 1;
+
+      const name = document.createElement('div');
+      name.className = 'tool-item-name';
+      name.textContent = `${new Date(entry.ts).toLocaleTimeString()} • ` +
+        `+${counts.added} added, -${counts.removed} removed, ~${counts.changed} changed`;
+
+      const desc = document.createElement('div');
+      desc.className = 'tool-item-desc';
+      desc.textContent = entry.url || '(no URL)';
+
+      const list = document.createElement('ul');
+      list.className = 'validation-errors context-diff';
+      for (const change of entry.changes) {
+        const frame = change.frameId === 0 ? '' : ` (frame ${change.frameId})`;
+        const line = document.createElement('li');
+        line.className = `diff-${change.type === 'added' ? 'add' : change.type === 'removed' ? 'remove' : 'change'}`;
+        if (change.type === 'added') line.textContent = `+ ${change.tool}${frame}`;
+        if (change.type === 'removed') line.textContent = `- ${change.tool}${frame}`;
+        if (change.type === 'changed') {
+          line.textContent = `~ ${change.tool}${frame}: ${change.fields.join(', ')}`;
+          const details = document.createElement('ul');
+          for (const diff of change.diff) {
+            const detail = document.createElement('li');
+            detail.className = `diff-${diff.op}`;
+            detail.textContent = describeJsonChange(diff);
+            details.appendChild(detail);
+          }
+          line.appendChild(details);
+        }
+        if (change.type !== 'removed') {
+          line.title = 'Select this tool';
+          line.style.cursor = 'pointer';
+          line.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.selectToolByName(change.tool);
+          });
+        }
+        list.appendChild(line);
+      }
+
+      item.appendChild(name);
+      item.appendChild(desc);
+      item.appendChild(list);
+      this.dom.toolChangeList.appendChild(item);
+    }
+  }
+
   appendEmptyGroupMessage(container, message) {
     const div = document.createElement('div');
     div.className = 'tool-item';
@@ -380,6 +900,7 @@ class SidePanelApp {
       this.selectTool(found);
       this.renderToolLists();
       this.setActiveTab('tools');
+      this.highlightToolForm(null, FORM_HIGHLIGHT_MS);
     }
   }
 
@@ -392,10 +913,17 @@ class SidePanelApp {
       this.dom.selectedToolType.textContent = '-';
       this.dom.selectedToolReadOnly.textContent = '-';
       this.dom.selectedToolSource.textContent = '-';
+      this.dom.selectedToolFrame.textContent = '-';
+      this.dom.selectedToolFrame.title = '';
       this.dom.selectedToolSchema.textContent = '';
+      this.renderToolSchemaNotes();
+      this.inspectToolForm();
       this.dom.toolInputArgs.value = '{}';
+      this.schemaForm.clear();
       this.toggleToolActions(false);
-      this.dom.toolExecutionResult.textContent = '';
+      this.resultViewer.clear();
+      this.renderValidationReport([]);
+      this.loadToolPresets();
       return;
     }
 
@@ -410,22 +938,35 @@ class SidePanelApp {
       readOnlyHint === true ? 'Yes' : readOnlyHint === false ? 'No' : 'Unknown';
 
     this.dom.selectedToolSource.textContent = tool.source || (this.isDeclarativeTool(tool) ? 'HTML Form' : 'JavaScript');
+    this.dom.selectedToolFrame.textContent = this.describeToolFrame(tool);
+    this.dom.selectedToolFrame.title = tool.frameUrl || '';
 
-    const schema = this.parseSchema(tool.inputSchema);
-    this.dom.selectedToolSchema.textContent = JSON.stringify(schema, null, 2);
+    this.dom.selectedToolSchema.textContent = JSON.stringify(this.parseSchema(tool.inputSchema), null, 2);
+    this.renderToolSchemaNotes();
+    this.inspectToolForm();
 
-    this.dom.toolInputArgs.value = JSON.stringify(this.generateTemplateFromSchema(schema, []), null, 2);
-    this.dom.toolExecutionResult.textContent = '';
+    this.resultViewer.clear();
 
     this.toggleToolActions(true);
+    this.setToolInputArgs(this.generateTemplateFromSchema(this.resolveToolSchema(tool), []));
+    this.loadToolPresets();
   }
 
   toggleToolActions(enabled) {
     this.dom.toolInputArgs.disabled = !enabled;
+    this.dom.toolInputFormViewBtn.disabled = !enabled;
+    this.dom.toolInputJsonViewBtn.disabled = !enabled;
     this.dom.toolInputResetBtn.disabled = !enabled;
+    this.dom.toolPresetSelect.disabled = !enabled;
+    this.dom.presetSaveBtn.disabled = !enabled;
+    this.dom.presetExportBtn.disabled = !enabled;
+    this.dom.presetImportBtn.disabled = !enabled;
     this.dom.toolCopyJsonBtn.disabled = !enabled;
     this.dom.toolExecuteBtn.disabled = !enabled;
+    this.dom.toolFillOnlyBtn.hidden = !enabled || !this.isDeclarativeTool(this.selectedTool);
+    this.dom.toolFillOnlyBtn.disabled = !enabled;
     this.dom.copySelectedToolBtn.disabled = !enabled;
+    this.dom.lintSelectedToolBtn.disabled = !enabled;
   }
 
   parseSchema(schema) {
@@ -440,6 +981,208 @@ class SidePanelApp {
     return schema;
   }
 
+  /**
+   * Show schema keywords the active AI provider drops when declaring the selected tool.
+   */
+  renderToolSchemaNotes() {
+    const [report] = this.selectedTool ? aiManager.describeToolSchemaLoss([this.selectedTool]) : [];
+    const dropped = report?.dropped || [];
+
+    this.dom.toolSchemaNotes.hidden = dropped.length === 0;
+    this.dom.toolSchemaNotesList.innerHTML = '';
+    if (dropped.length === 0) return;
+
+    const providerName = aiManager.getCurrentProviderName();
+    this.dom.toolSchemaNotesSummary.textContent =
+      `${providerName} drops ${dropped.length} schema keyword${dropped.length === 1 ? '' : 's'} from this tool`;
+
+    for (const entry of dropped) {
+      const item = document.createElement('li');
+      const path = document.createElement('code');
+      path.textContent = `${entry.path} ${entry.keyword}`;
+      item.appendChild(path);
+      item.appendChild(document.createTextNode(` — ${entry.reason}`));
+      this.dom.toolSchemaNotesList.appendChild(item);
+    }
+  }
+
+  /**
+   * Attach form/schema mismatches to a declarative tool whose form the content script described.
+   */
+  withFormIssues(tool) {
+    if (!tool?.form?.found) return tool;
+    return { ...tool, formIssues: checkFormSchemaConsistency(tool.form, this.parseSchema(tool.inputSchema)) };
+  }
+
+  /**
+   * Read the selected declarative tool's form from the page it lives in.
+   */
+  async inspectToolForm() {
+    const tool = this.selectedTool;
+    if (!tool || !this.isDeclarativeTool(tool)) {
+      this.renderFormInspector(null);
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'DESCRIBE_TOOL_FORM',
+        name: tool.name,
+        frameId: tool.frameId
+      });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      if (this.selectedTool === tool) {
+        this.renderFormInspector(response?.form?.found ? response.form : null);
+      }
+    } catch (error) {
+      console.debug('[Sidebar] Form inspection failed:', error);
+      if (this.selectedTool === tool) {
+        this.renderFormInspector(null);
+      }
+    }
+  }
+
+  renderFormInspector(form) {
+    this.dom.formInspector.hidden = !form;
+    this.dom.formInspectorFields.innerHTML = '';
+    const issues = form ? checkFormSchemaConsistency(form, this.parseSchema(this.selectedTool?.inputSchema)) : [];
+    this.renderFormConsistency(issues);
+    if (!form) return;
+
+    this.dom.formInspectorAction.textContent = form.action || '(current URL)';
+    this.dom.formInspectorMethod.textContent = form.method.toUpperCase();
+    this.dom.formInspectorTarget.textContent = form.target || '(same frame)';
+    this.dom.formInspectorAutoSubmit.textContent = form.autoSubmit ? 'Yes' : 'No';
+
+    if (form.fields.length === 0) {
+      this.appendEmptyGroupMessage(this.dom.formInspectorFields, 'Form has no named fields');
+      return;
+    }
+
+    for (const field of form.fields) {
+      const item = document.createElement('div');
+      item.className = 'tool-item form-field-item';
+
+      const name = document.createElement('div');
+      name.className = 'tool-item-name';
+      name.textContent = field.name;
+      if (field.required) {
+        const marker = document.createElement('span');
+        marker.className = 'required-marker';
+        marker.textContent = ' *';
+        name.appendChild(marker);
+      }
+
+      const desc = document.createElement('div');
+      desc.className = 'tool-item-desc';
+      desc.textContent = [field.title, field.description].filter(Boolean).join(' — ') || 'No toolparamtitle / toolparamdescription';
+
+      const meta = document.createElement('div');
+      meta.className = 'tool-item-meta';
+      meta.textContent = this.describeFormField(field);
+      const fieldIssues = issues.filter((issue) => issue.field === field.name);
+      if (fieldIssues.length > 0) {
+        meta.classList.add('error');
+        meta.textContent += ` • ⚠ ${fieldIssues.length} schema mismatch${fieldIssues.length === 1 ? '' : 'es'}`;
+        meta.title = fieldIssues.map((issue) => issue.message).join('\n');
+      }
+
+      item.appendChild(name);
+      item.appendChild(desc);
+      item.appendChild(meta);
+
+      item.addEventListener('mouseenter', () => this.highlightToolForm(field.name));
+      item.addEventListener('mouseleave', () => this.clearPageHighlight());
+
+      this.dom.formInspectorFields.appendChild(item);
+    }
+  }
+
+  /**
+   * List differences between the form's controls and the inputSchema the browser reports.
+   */
+  renderFormConsistency(issues) {
+    this.dom.formConsistencyReport.hidden = issues.length === 0;
+    this.dom.formConsistencyList.innerHTML = '';
+    if (issues.length === 0) return;
+
+    const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+    this.dom.formConsistencySummary.textContent =
+      `Form and inputSchema disagree: ${errorCount} error${errorCount === 1 ? '' : 's'}, ` +
+      `${issues.length - errorCount} warning${issues.length - errorCount === 1 ? '' : 's'}`;
+
+    for (const issue of issues) {
+      const item = document.createElement('li');
+      const path = document.createElement('code');
+      path.textContent = issue.path;
+      item.appendChild(path);
+      item.appendChild(document.createTextNode(` — ${issue.message}`));
+      if (issue.field) {
+        item.addEventListener('mouseenter', () => this.highlightToolForm(issue.field));
+        item.addEventListener('mouseleave', () => this.clearPageHighlight());
+      }
+      this.dom.formConsistencyList.appendChild(item);
+    }
+  }
+
+  describeFormField(field) {
+    const parts = [field.tag === field.type ? `<${field.tag}>` : `<${field.tag} type=${field.type}>`];
+    if (field.multiple) parts.push('multiple');
+    if (field.disabled) parts.push('disabled');
+    if (field.pattern) parts.push(`pattern=${field.pattern}`);
+    for (const key of ['min', 'max', 'step', 'minLength', 'maxLength']) {
+      if (field[key] !== null) parts.push(`${key}=${field[key]}`);
+    }
+    if (Array.isArray(field.options)) {
+      const values = field.options.map((option) => option.value);
+      parts.push(`options: ${values.slice(0, 8).join(', ')}${values.length > 8 ? ` (+${values.length - 8})` : ''}`);
+    }
+    return parts.join(' • ');
+  }
+
+  /**
+   * Outline the selected declarative tool's form (or one of its fields) in the page.
+   * @param {string|null} fieldName - Field to outline; null outlines the whole form
+   * @param {number} durationMs - Auto-clear delay; 0 keeps the overlay until cleared
+   */
+  async highlightToolForm(fieldName = null, durationMs = 0) {
+    const tool = this.selectedTool;
+    if (!tool || !this.isDeclarativeTool(tool)) return;
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'HIGHLIGHT_TOOL_FORM',
+        name: tool.name,
+        frameId: tool.frameId,
+        fieldName,
+        durationMs
+      });
+    } catch (error) {
+      console.debug('[Sidebar] Highlight failed:', error);
+    }
+  }
+
+  async clearPageHighlight() {
+    const tool = this.selectedTool;
+    if (!tool) return;
+
+    try {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_HIGHLIGHT', name: tool.name, frameId: tool.frameId });
+    } catch (error) {
+      console.debug('[Sidebar] Clearing highlight failed:', error);
+    }
+  }
+
+  /**
+   * Tool input schema with local $refs inlined, for template generation and normalization.
+   * Validation keeps using the raw schema so recursive definitions are checked in full.
+   */
+  resolveToolSchema(tool) {
+    return dereferenceSchema(this.parseSchema(tool?.inputSchema));
+  }
+
   generateTemplateFromSchema(schema, path = []) {
     if (!schema || typeof schema !== 'object') return {};
 
@@ -695,109 +1438,525 @@ class SidePanelApp {
 
   resetToolInputToTemplate() {
     if (!this.selectedTool) return;
-    const schema = this.parseSchema(this.selectedTool.inputSchema);
-    this.dom.toolInputArgs.value = JSON.stringify(this.generateTemplateFromSchema(schema, []), null, 2);
+    this.setToolInputArgs(this.generateTemplateFromSchema(this.resolveToolSchema(this.selectedTool), []));
   }
 
-  async copyCurrentToolInput() {
-    try {
-      await navigator.clipboard.writeText(this.dom.toolInputArgs.value || '{}');
-      this.showStatus('Copied input JSON', 'success', 1500);
-    } catch (error) {
-      this.showStatus(`Clipboard failed: ${error.message}`, 'error', 3500);
+  setToolInputArgs(value) {
+    this.dom.toolInputArgs.value = JSON.stringify(value, null, 2);
+    if (this.toolInputView === 'form') {
+      this.renderToolInputForm(value);
     }
+    this.validateToolInput();
   }
 
-  async copySelectedToolConfig() {
-    if (!this.selectedTool) return;
-
-    const payload = {
-      name: this.selectedTool.name,
-      description: this.selectedTool.description,
-      inputSchema: this.parseSchema(this.selectedTool.inputSchema),
-      annotations: this.selectedTool.annotations || {}
-    };
+  renderToolInputForm(value) {
+    if (!this.selectedTool) {
+      this.schemaForm.clear();
+      return;
+    }
+    this.schemaForm.render(this.parseSchema(this.selectedTool.inputSchema), value);
+  }
 
-    try {
-      await navigator.clipboard.writeText(JSON.stringify(payload, null, 2));
-      this.showStatus('Copied selected tool config', 'success', 1500);
-    } catch (error) {
-      this.showStatus(`Clipboard failed: ${error.message}`, 'error', 3500);
+  setToolInputView(view) {
+    if (view === 'form') {
+      let value;
+      try {
+        value = JSON.parse(this.dom.toolInputArgs.value || '{}');
+      } catch (error) {
+        this.showStatus(`Fix the input JSON before switching to the form: ${error.message}`, 'error', 3500);
+        return;
+      }
+      this.renderToolInputForm(value);
     }
+
+    this.toolInputView = view;
+    this.dom.toolInputForm.hidden = view !== 'form';
+    this.dom.toolInputArgs.hidden = view === 'form';
+    this.dom.toolInputFormViewBtn.classList.toggle('active', view === 'form');
+    this.dom.toolInputJsonViewBtn.classList.toggle('active', view !== 'form');
   }
 
-  async executeSelectedTool() {
-    if (!this.selectedTool) return;
+  onSchemaFormChange(value) {
+    this.dom.toolInputArgs.value = JSON.stringify(value, null, 2);
+    this.validateToolInput();
+  }
 
-    this.dom.toolExecuteBtn.disabled = true;
-    this.dom.toolExecutionResult.textContent = '';
+  validateToolInput(showActions = false) {
+    if (!this.selectedTool) {
+      this.renderValidationReport([]);
+      return [];
+    }
 
     let inputArgs;
     try {
       inputArgs = JSON.parse(this.dom.toolInputArgs.value || '{}');
     } catch (error) {
-      this.dom.toolExecutionResult.textContent = `Invalid JSON: ${error.message}`;
-      this.dom.toolExecuteBtn.disabled = false;
-      this.showStatus('Invalid tool input JSON', 'error', 3500);
-      return;
+      const errors = [{ path: '/', keyword: 'json', message: `Invalid JSON: ${error.message}` }];
+      this.renderValidationReport(errors, false);
+      return errors;
     }
 
     const schema = this.parseSchema(this.selectedTool.inputSchema);
-    const normalized = this.normalizeInputForSchema(schema, inputArgs, []);
-    if (normalized.changed) {
-      inputArgs = normalized.value;
-      this.dom.toolInputArgs.value = JSON.stringify(inputArgs, null, 2);
-      this.showStatus('Adjusted input to match schema constraints before execution.', 'warning', 3200);
+    const { errors } = validateAgainstSchema(schema, inputArgs);
+    this.renderValidationReport(errors, showActions);
+    return errors;
+  }
+
+  renderValidationReport(errors, showActions = false) {
+    this.dom.toolValidationErrors.innerHTML = '';
+    this.dom.toolValidationReport.hidden = errors.length === 0;
+    this.dom.toolValidationActions.hidden = !showActions || errors.length === 0;
+    if (errors.length === 0) return;
+
+    this.dom.toolValidationSummary.textContent =
+      `${errors.length} schema error${errors.length === 1 ? '' : 's'} in input`;
+
+    for (const error of errors) {
+      const item = document.createElement('li');
+      const path = document.createElement('code');
+      path.textContent = error.path;
+      item.appendChild(path);
+      item.appendChild(document.createTextNode(` ${error.message}`));
+      this.dom.toolValidationErrors.appendChild(item);
     }
+  }
 
-    const start = performance.now();
-    try {
-      const response = await chrome.runtime.sendMessage({
-        type: 'EXECUTE_TOOL',
-        name: this.selectedTool.name,
-        inputArgs
-      });
+  getCurrentOrigin() {
+    return historyStore.originFromUrl(this.currentUrl);
+  }
 
-      if (response?.error) {
-        throw new Error(response.error);
+  async loadToolPresets(selectedPresetId = '') {
+    const toolName = this.selectedTool?.name;
+    let presets = [];
+    if (toolName) {
+      try {
+        presets = await presetStore.list(this.getCurrentOrigin(), toolName);
+      } catch (error) {
+        this.showStatus(`Failed to load presets: ${error.message}`, 'error', 4000);
       }
+    }
 
-      const elapsed = Math.round(performance.now() - start);
-      const output = response?.result;
-      this.dom.toolExecutionResult.textContent =
-        typeof output === 'object' ? JSON.stringify(output, null, 2) : String(output);
+    // Tool selection may have changed while presets were loading.
+    if (this.selectedTool?.name !== toolName) return;
+
+    this.toolPresets = presets;
+    this.fillSelectOptions(
+      this.dom.toolPresetSelect,
+      [
+        { value: '', label: presets.length > 0 ? `Presets (${presets.length})` : 'No presets' },
+        ...presets.map((preset) => ({ value: preset.id, label: preset.name }))
+      ],
+      selectedPresetId
+    );
+    this.updatePresetButtons();
+  }
 
-      this.trace.push({
-        ts: new Date().toISOString(),
-        type: 'manual_execution',
-        tool: this.selectedTool.name,
-        input: inputArgs,
-        result: output,
-        elapsedMs: elapsed
-      });
+  getSelectedPreset() {
+    const presetId = this.dom.toolPresetSelect.value;
+    return this.toolPresets.find((preset) => preset.id === presetId) || null;
+  }
 
-      this.showStatus(`Tool executed in ${elapsed}ms`, 'success', 2500);
-    } catch (error) {
-      this.dom.toolExecutionResult.textContent = `Execution failed: ${error.message}`;
-      this.trace.push({
-        ts: new Date().toISOString(),
-        type: 'manual_execution_error',
-        tool: this.selectedTool.name,
-        input: inputArgs,
-        error: error.message
-      });
-      this.showStatus('Tool execution failed', 'error', 3500);
-    } finally {
-      this.dom.toolExecuteBtn.disabled = false;
+  updatePresetButtons() {
+    const hasPreset = !!this.getSelectedPreset();
+    this.dom.presetRenameBtn.disabled = !hasPreset;
+    this.dom.presetDeleteBtn.disabled = !hasPreset;
+  }
+
+  applySelectedPreset() {
+    const preset = this.getSelectedPreset();
+    if (preset) {
+      this.setToolInputArgs(preset.args ?? {});
     }
+    this.updatePresetButtons();
   }
 
-  appendChatLine(role, text) {
-    const line = document.createElement('div');
+  async saveToolPreset() {
+    if (!this.selectedTool) return;
+
+    let args;
+    try {
+      args = JSON.parse(this.dom.toolInputArgs.value || '{}');
+    } catch (error) {
+      this.showStatus(`Invalid tool input JSON: ${error.message}`, 'error', 3500);
+      return;
+    }
+
+    const name = window.prompt('Preset name', this.getSelectedPreset()?.name || '');
+    if (!name || !name.trim()) return;
+
+    try {
+      const preset = await presetStore.save(this.getCurrentOrigin(), this.selectedTool.name, name, args);
+      await this.loadToolPresets(preset.id);
+      this.showStatus(`Saved preset "${preset.name}"`, 'success', 2000);
+    } catch (error) {
+      this.showStatus(`Failed to save preset: ${error.message}`, 'error', 4000);
+    }
+  }
+
+  async renameToolPreset() {
+    const preset = this.getSelectedPreset();
+    if (!this.selectedTool || !preset) return;
+
+    const name = window.prompt('Rename preset', preset.name);
+    if (!name || !name.trim() || name.trim() === preset.name) return;
+
+    try {
+      await presetStore.rename(this.getCurrentOrigin(), this.selectedTool.name, preset.id, name);
+      await this.loadToolPresets(preset.id);
+      this.showStatus('Preset renamed', 'success', 2000);
+    } catch (error) {
+      this.showStatus(`Failed to rename preset: ${error.message}`, 'error', 4000);
+    }
+  }
+
+  async deleteToolPreset() {
+    const preset = this.getSelectedPreset();
+    if (!this.selectedTool || !preset) return;
+    if (!window.confirm(`Delete preset "${preset.name}"?`)) return;
+
+    try {
+      await presetStore.remove(this.getCurrentOrigin(), this.selectedTool.name, preset.id);
+      await this.loadToolPresets();
+      this.showStatus('Preset deleted', 'success', 2000);
+    } catch (error) {
+      this.showStatus(`Failed to delete preset: ${error.message}`, 'error', 4000);
+    }
+  }
+
+  async exportToolPresets() {
+    try {
+      const origin = this.getCurrentOrigin();
+      const json = await presetStore.export(origin);
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `webmcp-presets-${this.safeHostFromUrl(origin).replace(/[^a-z0-9.-]+/gi, '_')}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      this.showStatus('Presets exported', 'success', 2000);
+    } catch (error) {
+      this.showStatus(`Failed to export presets: ${error.message}`, 'error', 4000);
+    }
+  }
+
+  async importToolPresets() {
+    const file = this.dom.presetImportFile.files?.[0];
+    this.dom.presetImportFile.value = '';
+    if (!file) return;
+
+    try {
+      const count = await presetStore.import(this.getCurrentOrigin(), await file.text());
+      await this.loadToolPresets(this.dom.toolPresetSelect.value);
+      this.showStatus(`Imported ${count} preset${count === 1 ? '' : 's'}`, 'success', 2500);
+    } catch (error) {
+      this.showStatus(`Failed to import presets: ${error.message}`, 'error', 4000);
+    }
+  }
+
+  async copyCurrentToolInput() {
+    try {
+      await navigator.clipboard.writeText(this.dom.toolInputArgs.value || '{}');
+      this.showStatus('Copied input JSON', 'success', 1500);
+    } catch (error) {
+      this.showStatus(`Clipboard failed: ${error.message}`, 'error', 3500);
+    }
+  }
+
+  async copySelectedToolConfig() {
+    if (!this.selectedTool) return;
+
+    const payload = {
+      name: this.selectedTool.name,
+      description: this.selectedTool.description,
+      inputSchema: this.parseSchema(this.selectedTool.inputSchema),
+      annotations: this.selectedTool.annotations || {}
+    };
+
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(payload, null, 2));
+      this.showStatus('Copied selected tool config', 'success', 1500);
+    } catch (error) {
+      this.showStatus(`Clipboard failed: ${error.message}`, 'error', 3500);
+    }
+  }
+
+  /**
+   * Dry run for declarative tools: fill the page form from the current input and
+   * report constraint validation, leaving submission to the user.
+   */
+  async fillSelectedToolForm() {
+    const tool = this.selectedTool;
+    if (!tool || !this.isDeclarativeTool(tool)) return;
+
+    let inputArgs;
+    try {
+      inputArgs = JSON.parse(this.dom.toolInputArgs.value || '{}');
+    } catch (error) {
+      this.resultViewer.showMessage(`Invalid JSON: ${error.message}`);
+      this.showStatus('Invalid tool input JSON', 'error', 3500);
+      return;
+    }
+
+    this.dom.toolFillOnlyBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'FILL_TOOL_FORM',
+        name: tool.name,
+        frameId: tool.frameId,
+        inputArgs
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      const report = response?.result || {};
+      this.resultViewer.showValue(report);
+      this.trace.push({
+        ts: new Date().toISOString(),
+        type: 'form_fill',
+        tool: tool.name,
+        input: inputArgs,
+        result: report
+      });
+
+      const invalidCount = report.invalid?.length || 0;
+      const problemCount = invalidCount + (report.skipped?.length || 0) + (report.unknownArgs?.length || 0);
+      this.showStatus(
+        problemCount === 0
+          ? `Filled ${report.filled?.length || 0} field(s); the form was not submitted`
+          : `Filled ${report.filled?.length || 0} field(s) with ${problemCount} problem(s); the form was not submitted`,
+        problemCount === 0 ? 'success' : 'warning',
+        3500
+      );
+    } catch (error) {
+      this.resultViewer.showMessage(`Fill failed: ${error.message}`);
+      this.showStatus('Could not fill the form', 'error', 3500);
+    } finally {
+      this.dom.toolFillOnlyBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Rewrite the editor input toward the schema (coercing types, filling required fields)
+   * and re-validate. Nothing runs; the user reviews the fixed input and executes it.
+   */
+  autoFixToolInput() {
+    if (!this.selectedTool) return;
+
+    let inputArgs;
+    try {
+      inputArgs = JSON.parse(this.dom.toolInputArgs.value || '{}');
+    } catch (error) {
+      this.showStatus(`Invalid tool input JSON: ${error.message}`, 'error', 3500);
+      return;
+    }
+
+    const normalized = this.normalizeInputForSchema(this.resolveToolSchema(this.selectedTool), inputArgs, []);
+    if (normalized.changed) {
+      this.setToolInputArgs(normalized.value);
+    }
+    const errors = this.validateToolInput(true);
+    if (errors.length > 0) {
+      this.showStatus('Auto-fix could not resolve every schema error. Review the input.', 'warning', 3500);
+    } else if (normalized.changed) {
+      this.showStatus('Input fixed to match the schema. Review it, then execute.', 'success', 3200);
+    }
+  }
+
+  async executeSelectedTool(options = {}) {
+    if (!this.selectedTool) return;
+    const { skipValidation = false } = options;
+
+    this.dom.toolExecuteBtn.disabled = true;
+    this.resultViewer.clear();
+
+    let inputArgs;
+    try {
+      inputArgs = JSON.parse(this.dom.toolInputArgs.value || '{}');
+    } catch (error) {
+      this.resultViewer.showMessage(`Invalid JSON: ${error.message}`);
+      this.dom.toolExecuteBtn.disabled = false;
+      this.showStatus('Invalid tool input JSON', 'error', 3500);
+      return;
+    }
+
+    const schema = this.parseSchema(this.selectedTool.inputSchema);
+    const { errors: validationErrors } = validateAgainstSchema(schema, inputArgs);
+    if (validationErrors.length > 0 && !skipValidation) {
+      this.renderValidationReport(validationErrors, true);
+      this.dom.toolExecuteBtn.disabled = false;
+      this.showStatus('Input does not match the tool schema. Choose how to proceed.', 'warning', 3500);
+      return;
+    }
+    this.renderValidationReport(validationErrors, false);
+
+    const start = performance.now();
+    try {
+      const response = await this.requestToolExecution('manual', {
+        name: this.selectedTool.name,
+        frameId: this.selectedTool.frameId,
+        inputArgs
+      });
+
+      const elapsed = Math.round(performance.now() - start);
+      const output = response?.result;
+      const resultRef = response?.resultRef || null;
+      if (resultRef) {
+        this.showStoredResult(resultRef);
+      } else {
+        this.resultViewer.showValue(output);
+      }
+
+      this.trace.push({
+        ts: new Date().toISOString(),
+        type: 'manual_execution',
+        tool: this.selectedTool.name,
+        input: inputArgs,
+        ...(resultRef ? { resultRef } : { result: output }),
+        elapsedMs: elapsed,
+        ...(response?.navigatedTo ? { navigatedTo: response.navigatedTo } : {}),
+        ...(validationErrors.length > 0 ? { validationErrors } : {})
+      });
+      this.recordHistory({
+        tool: this.selectedTool.name,
+        frameId: this.selectedTool.frameId ?? 0,
+        source: 'manual',
+        input: inputArgs,
+        result: output,
+        resultRef,
+        elapsedMs: elapsed
+      });
+
+      this.showStatus(
+        response?.navigatedTo
+          ? `Tool executed in ${elapsed}ms; result collected from ${this.safeHostFromUrl(response.navigatedTo)}`
+          : `Tool executed in ${elapsed}ms`,
+        'success',
+        2500
+      );
+    } catch (error) {
+      this.resultViewer.showMessage(`Execution failed: ${error.message}`);
+      this.trace.push({
+        ts: new Date().toISOString(),
+        type: error.stopReason ? `manual_execution_${error.stopReason}` : 'manual_execution_error',
+        tool: this.selectedTool.name,
+        input: inputArgs,
+        error: error.message,
+        elapsedMs: Math.round(performance.now() - start)
+      });
+      this.recordHistory({
+        tool: this.selectedTool.name,
+        frameId: this.selectedTool.frameId ?? 0,
+        source: 'manual',
+        input: inputArgs,
+        error: error.message,
+        elapsedMs: Math.round(performance.now() - start)
+      });
+      const statusText = {
+        timeout: 'Tool call timed out',
+        cancelled: 'Tool call cancelled'
+      }[error.stopReason] || 'Tool execution failed';
+      this.showStatus(statusText, error.stopReason === 'cancelled' ? 'warning' : 'error', 3500);
+    } finally {
+      this.dom.toolExecuteBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Page through a result the background stored in IndexedDB instead of returning inline.
+   */
+  showStoredResult(resultRef) {
+    this.resultViewer.showLargeResult(resultRef, {
+      loadChunk: (index) => resultStore.getChunk(resultRef.id, index),
+      loadAll: () => resultStore.read(resultRef.id)
+    });
+  }
+
+  getToolTimeoutMs() {
+    const timeoutMs = Number(settingsManager.get('general.toolTimeoutMs'));
+    return Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 0;
+  }
+
+  createStoppedError(stopReason, message) {
+    const error = new Error(message);
+    error.stopReason = stopReason;
+    return error;
+  }
+
+  /**
+   * Send EXECUTE_TOOL with the configured timeout. The content script enforces the
+   * timeout; the panel keeps its own backstop in case the page never answers.
+   * Cancelling rejects here at once and tells the content script to stop waiting.
+   */
+  async requestToolExecution(source, request) {
+    const executionId = `${source}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    const timeoutMs = this.getToolTimeoutMs();
+
+    let stop;
+    const stopped = new Promise((_, reject) => {
+      stop = reject;
+    });
+    stopped.catch(() => {});
+    const backstop = timeoutMs > 0
+      ? setTimeout(() => {
+        stop(this.createStoppedError('timeout', `Tool call timed out after ${timeoutMs}ms`));
+      }, timeoutMs + EXECUTION_BACKSTOP_MS)
+      : null;
+
+    this.pendingExecutions.set(executionId, { source, stop });
+    this.renderExecutionControls();
+    try {
+      const response = await Promise.race([
+        chrome.runtime.sendMessage({
+          type: 'EXECUTE_TOOL',
+          ...request,
+          executionId,
+          timeoutMs,
+          limits: settingsManager.get('general.resultLimits')
+        }),
+        stopped
+      ]);
+      if (response?.error) {
+        throw response.stopReason
+          ? this.createStoppedError(response.stopReason, response.error)
+          : new Error(response.error);
+      }
+      return response;
+    } finally {
+      clearTimeout(backstop);
+      this.pendingExecutions.delete(executionId);
+      this.renderExecutionControls();
+    }
+  }
+
+  cancelToolExecutions(source) {
+    for (const [executionId, pending] of this.pendingExecutions) {
+      if (pending.source !== source) continue;
+      pending.stop(this.createStoppedError('cancelled', 'Tool call cancelled'));
+      chrome.runtime.sendMessage({ type: 'CANCEL_TOOL_EXECUTION', executionId }).catch(() => {});
+    }
+  }
+
+  renderExecutionControls() {
+    const sources = new Set([...this.pendingExecutions.values()].map((pending) => pending.source));
+    this.dom.toolCancelBtn.hidden = !sources.has('manual');
+    this.dom.aiCancelToolBtn.hidden = !sources.has('ai');
+  }
+
+  appendChatLine(role, text) {
+    const line = document.createElement('div');
     line.className = `chat-line ${role}`;
     line.textContent = text;
     this.dom.chatTranscript.appendChild(line);
     this.dom.chatTranscript.scrollTop = this.dom.chatTranscript.scrollHeight;
+    return line;
+  }
+
+  appendChatChunk(line, chunk) {
+    line.textContent += chunk;
+    this.dom.chatTranscript.scrollTop = this.dom.chatTranscript.scrollHeight;
   }
 
   updateAIProviderLabel() {
@@ -807,6 +1966,14 @@ class SidePanelApp {
   }
 
   resetAIConversation() {
+    this.aiRun?.abort();
+    this.aiRun = null;
+    for (const cancel of this.pendingApprovals) {
+      cancel();
+    }
+    this.pendingApprovals.clear();
+    this.cancelToolExecutions('ai');
+    this.dom.aiSendBtn.disabled = !aiManager.isReady();
     this.aiMessages = [];
     this.dom.chatTranscript.innerHTML = '';
     this.appendChatLine('system', 'Conversation reset.');
@@ -834,13 +2001,19 @@ class SidePanelApp {
       prompt: userPrompt
     });
 
+    const run = new AbortController();
+    this.aiRun = run;
     try {
-      await this.runAIAgentLoop();
+      await this.runAIAgentLoop(run.signal);
     } catch (error) {
+      if (run.signal.aborted) return;
       this.appendChatLine('system', `AI error: ${error.message}`);
       this.trace.push({ ts: new Date().toISOString(), type: 'ai_error', error: error.message });
     } finally {
-      this.dom.aiSendBtn.disabled = !aiManager.isReady();
+      if (this.aiRun === run) {
+        this.aiRun = null;
+        this.dom.aiSendBtn.disabled = !aiManager.isReady();
+      }
     }
   }
 
@@ -867,17 +2040,202 @@ class SidePanelApp {
     return `{${out.join(',')}}`;
   }
 
+  getToolApprovalPolicy() {
+    const policy = settingsManager.get('ai.toolApproval');
+    return ['always', 'non-read-only', 'auto'].includes(policy) ? policy : 'non-read-only';
+  }
+
+  getToolResultBudget() {
+    const budget = Number(settingsManager.get('ai.toolResultBudget'));
+    return Number.isFinite(budget) && budget > 0 ? Math.floor(budget) : 0;
+  }
+
+  requiresToolApproval(toolDef) {
+    const policy = this.getToolApprovalPolicy();
+    if (policy === 'auto') return false;
+    if (policy === 'always') return true;
+    return toolDef?.annotations?.readOnlyHint !== true;
+  }
+
+  requestToolApproval(toolName, args, toolDef) {
+    return new Promise((resolve) => {
+      const card = document.createElement('div');
+      card.className = 'chat-line approval-card';
+
+      const title = document.createElement('div');
+      title.className = 'approval-title';
+      title.textContent = `Approve tool call: ${toolName}`;
+
+      const readOnlyHint = toolDef?.annotations?.readOnlyHint;
+      const meta = document.createElement('div');
+      meta.className = 'approval-meta';
+      meta.textContent = !toolDef
+        ? 'Tool is not registered on this page.'
+        : readOnlyHint === true
+          ? 'Marked read-only.'
+          : 'Not marked read-only. This call may change page or server state.';
+
+      const argsInput = document.createElement('textarea');
+      argsInput.className = 'code-input';
+      const originalArgs = JSON.stringify(args, null, 2);
+      argsInput.value = originalArgs;
+
+      const error = document.createElement('div');
+      error.className = 'approval-error';
+      error.hidden = true;
+
+      const approveBtn = document.createElement('button');
+      approveBtn.type = 'button';
+      approveBtn.className = 'btn btn-small';
+      approveBtn.textContent = 'Approve';
+
+      const rejectBtn = document.createElement('button');
+      rejectBtn.type = 'button';
+      rejectBtn.className = 'btn btn-secondary btn-small';
+      rejectBtn.textContent = 'Reject';
+
+      const actions = document.createElement('div');
+      actions.className = 'button-row';
+      actions.appendChild(approveBtn);
+      actions.appendChild(rejectBtn);
+
+      card.appendChild(title);
+      card.appendChild(meta);
+      card.appendChild(argsInput);
+      card.appendChild(error);
+      card.appendChild(actions);
+      this.dom.chatTranscript.appendChild(card);
+      this.dom.chatTranscript.scrollTop = this.dom.chatTranscript.scrollHeight;
+
+      const settle = (outcome) => {
+        this.pendingApprovals.delete(cancel);
+        argsInput.disabled = true;
+        approveBtn.disabled = true;
+        rejectBtn.disabled = true;
+        card.classList.add(outcome.decision === 'rejected' ? 'rejected' : 'approved');
+        meta.textContent = outcome.decision === 'rejected'
+          ? 'Rejected.'
+          : outcome.validationErrors
+            ? 'Approved despite schema errors.'
+            : outcome.decision === 'edited' ? 'Approved with edited arguments.' : 'Approved.';
+        resolve(outcome);
+      };
+
+      const cancel = () => settle({ decision: 'rejected', args });
+      this.pendingApprovals.add(cancel);
+      // Input value the user was warned about; approving it unchanged overrides the schema errors
+      let overrideValue = null;
+
+      approveBtn.addEventListener('click', () => {
+        let editedArgs;
+        try {
+          editedArgs = JSON.parse(argsInput.value || '{}');
+        } catch (parseError) {
+          error.hidden = false;
+          error.textContent = `Invalid JSON: ${parseError.message}`;
+          return;
+        }
+        if (!editedArgs || typeof editedArgs !== 'object' || Array.isArray(editedArgs)) {
+          error.hidden = false;
+          error.textContent = 'Arguments must be a JSON object.';
+          return;
+        }
+
+        // Edited arguments pass the same schema gate as the model's; a second click overrides it.
+        const { errors } = toolDef
+          ? validateAgainstSchema(this.parseSchema(toolDef.inputSchema), editedArgs)
+          : { errors: [] };
+        const override = errors.length > 0 && overrideValue === argsInput.value;
+        if (errors.length > 0 && !override) {
+          overrideValue = argsInput.value;
+          error.hidden = false;
+          error.textContent = `Arguments do not match the tool schema:\n${
+            errors.map((entry) => `${entry.path || '/'}: ${entry.message}`).join('\n')
+          }`;
+          approveBtn.textContent = 'Approve anyway';
+          return;
+        }
+
+        const edited = this.stableStringify(editedArgs) !== this.stableStringify(args);
+        settle({
+          decision: edited ? 'edited' : 'approved',
+          args: editedArgs,
+          ...(override ? { validationErrors: errors } : {})
+        });
+      });
+
+      argsInput.addEventListener('input', () => {
+        overrideValue = null;
+        error.hidden = true;
+        approveBtn.textContent = 'Approve';
+      });
+      rejectBtn.addEventListener('click', cancel);
+    });
+  }
+
   buildToolCallSignature(toolName, args) {
     return `${String(toolName || '')}::${this.stableStringify(args)}`;
   }
 
-  async runAIAgentLoop() {
+  /**
+   * Tools as declared to the model. Providers reject repeated names, so a name exposed
+   * by several frames is declared once per frame as `name__frame<id>`; the map resolves
+   * a call's declared name back to the frame's tool.
+   */
+  buildAIToolDeclarations() {
+    const nameCounts = new Map();
+    for (const tool of this.tools) {
+      nameCounts.set(tool.name, (nameCounts.get(tool.name) || 0) + 1);
+    }
+
+    const toolsByDeclaredName = new Map();
+    const declarations = this.tools.map((tool) => {
+      let name = tool.name;
+      if (nameCounts.get(tool.name) > 1) {
+        const suffix = `__frame${tool.frameId ?? 0}`;
+        name = `${tool.name.slice(0, 64 - suffix.length)}${suffix}`;
+      }
+      toolsByDeclaredName.set(name, tool);
+      return name === tool.name ? tool : { ...tool, name };
+    });
+
+    return { declarations, toolsByDeclaredName };
+  }
+
+  /**
+   * @param {AbortSignal} signal - Aborted when the conversation is reset; checked after every await
+   */
+  async runAIAgentLoop(signal) {
     const maxTurns = 5;
     const executedToolCalls = new Map();
     let toolsEnabled = true;
 
+    const schemaLoss = aiManager.describeToolSchemaLoss(this.buildAIToolDeclarations().declarations);
+    if (schemaLoss.length > 0) {
+      this.trace.push({
+        ts: new Date().toISOString(),
+        type: 'tool_schema_sanitized',
+        provider: aiManager.getCurrentProviderName(),
+        tools: schemaLoss
+      });
+    }
+
     for (let turn = 0; turn < maxTurns; turn += 1) {
-      const aiResponse = await aiManager.sendMessage(this.aiMessages, toolsEnabled ? this.tools : []);
+      let streamingLine = null;
+      const { declarations, toolsByDeclaredName } = this.buildAIToolDeclarations();
+      const aiResponse = await aiManager.streamMessage(
+        this.aiMessages,
+        toolsEnabled ? declarations : [],
+        (chunk) => {
+          if (!streamingLine) {
+            streamingLine = this.appendChatLine('assistant streaming', '');
+          }
+          this.appendChatChunk(streamingLine, chunk);
+        },
+        { signal }
+      );
+      if (signal.aborted) return;
+      streamingLine?.classList.remove('streaming');
 
       if (aiResponse?.error) {
         throw new Error(aiResponse.error);
@@ -886,41 +2244,61 @@ class SidePanelApp {
       const text = (aiResponse?.text || '').trim();
       const functionCalls = Array.isArray(aiResponse?.functionCalls) ? aiResponse.functionCalls : [];
 
+      if (text || functionCalls.length > 0) {
+        this.aiMessages.push(AIProvider.assistantMessage(text, functionCalls));
+      }
+
       if (text) {
-        this.aiMessages.push({ role: 'assistant', content: text });
-        this.appendChatLine('assistant', text);
+        if (streamingLine) {
+          streamingLine.textContent = text;
+        } else {
+          this.appendChatLine('assistant', text);
+        }
         this.trace.push({ ts: new Date().toISOString(), type: 'ai_text', text });
+      } else {
+        streamingLine?.remove();
       }
 
       if (functionCalls.length === 0) {
         return;
       }
 
-      const toolResultLines = [];
       let executedThisTurn = 0;
       let skippedDuplicatesThisTurn = 0;
 
       for (const call of functionCalls) {
-        const toolName = call?.name || '(unknown_tool)';
-        const rawArgs = call?.args;
-        let args = rawArgs;
-        if (typeof args === 'string') {
-          try {
-            args = JSON.parse(args);
-          } catch {
-            args = {};
-          }
-        }
-        if (!args || typeof args !== 'object' || Array.isArray(args)) {
-          args = {};
+        const toolDef = toolsByDeclaredName.get(call?.name);
+        const toolName = toolDef?.name || call?.name || '(unknown_tool)';
+        const parsedArgs = call?.argsError
+          ? { args: {}, argsError: call.argsError }
+          : AIProvider.parseToolArguments(call?.args);
+        if (parsedArgs.argsError) {
+          this.aiMessages.push(AIProvider.toolResultMessage(
+            call,
+            `Invalid arguments; the tool was not executed. ${parsedArgs.argsError}. Send the arguments as a JSON object and call it again.`,
+            true
+          ));
+          this.appendChatLine('system', `Rejected ${toolName} call: ${parsedArgs.argsError}`);
+          this.trace.push({
+            ts: new Date().toISOString(),
+            type: 'ai_tool_invalid_args',
+            tool: toolName,
+            rawArgs: call?.args,
+            error: parsedArgs.argsError
+          });
+          continue;
         }
+        let { args } = parsedArgs;
 
-        const callSignature = this.buildToolCallSignature(toolName, args);
+        const callSignature = this.buildToolCallSignature(call?.name || toolName, args);
         const existingCall = executedToolCalls.get(callSignature);
         if (existingCall?.status === 'success') {
           skippedDuplicatesThisTurn += 1;
-          const duplicateLine = `${toolName}(${JSON.stringify(args)}) => SKIPPED: duplicate of a successful previous call`;
-          toolResultLines.push(duplicateLine);
+          this.aiMessages.push(AIProvider.toolResultMessage(
+            call,
+            'Skipped: duplicate of a successful previous call. Reuse the earlier result.',
+            true
+          ));
           this.trace.push({
             ts: new Date().toISOString(),
             type: 'ai_tool_skipped_duplicate',
@@ -930,59 +2308,121 @@ class SidePanelApp {
           continue;
         }
 
-        const toolDef = this.tools.find((tool) => tool.name === toolName);
+        const requestedArgs = args;
         if (toolDef) {
-          const schema = this.parseSchema(toolDef.inputSchema);
-          const normalized = this.normalizeInputForSchema(schema, args, []);
-          if (normalized.changed) {
-            args = normalized.value;
+          const { errors } = validateAgainstSchema(this.parseSchema(toolDef.inputSchema), args);
+          if (errors.length > 0) {
+            // Let the model correct its own arguments rather than rewriting them.
+            const details = errors.map((error) => `${error.path || '/'}: ${error.message}`).join('\n');
+            this.aiMessages.push(AIProvider.toolResultMessage(
+              call,
+              `Invalid arguments; the tool was not executed. Fix these schema errors and call it again:\n${details}`,
+              true
+            ));
+            executedToolCalls.set(callSignature, { status: 'error' });
+            this.appendChatLine('system', `Rejected ${toolName} call: ${errors.length} schema error${errors.length === 1 ? '' : 's'} in arguments`);
             this.trace.push({
               ts: new Date().toISOString(),
-              type: 'ai_tool_args_normalized',
+              type: 'ai_tool_invalid_args',
               tool: toolName,
-              args
+              args,
+              validationErrors: errors
             });
+            continue;
           }
         }
 
+        if (this.requiresToolApproval(toolDef)) {
+          const approval = await this.requestToolApproval(toolName, args, toolDef);
+          if (signal.aborted) return;
+          this.trace.push({
+            ts: new Date().toISOString(),
+            type: 'ai_tool_approval',
+            tool: toolName,
+            policy: this.getToolApprovalPolicy(),
+            decision: approval.decision,
+            args: approval.args,
+            ...(approval.validationErrors ? { validationErrors: approval.validationErrors } : {})
+          });
+
+          if (approval.decision === 'rejected') {
+            this.aiMessages.push(AIProvider.toolResultMessage(
+              call,
+              'Rejected by the user. The tool was not executed.',
+              true
+            ));
+            continue;
+          }
+          args = approval.args;
+        }
+
         this.appendChatLine('system', `Calling tool: ${toolName}`);
 
+        const callStart = performance.now();
+        const normalizedArgs = this.stableStringify(args) !== this.stableStringify(requestedArgs) ? args : null;
         try {
-          const execResponse = await chrome.runtime.sendMessage({
-            type: 'EXECUTE_TOOL',
+          const execResponse = await this.requestToolExecution('ai', {
             name: toolName,
+            frameId: toolDef?.frameId,
             inputArgs: args
           });
+          if (signal.aborted) return;
 
-          if (execResponse?.error) {
-            throw new Error(execResponse.error);
-          }
-
-          const result = execResponse?.result;
-          toolResultLines.push(
-            `${toolName}(${JSON.stringify(args)}) => ${typeof result === 'object' ? JSON.stringify(result) : String(result)}`
-          );
+          const resultRef = execResponse?.resultRef || null;
+          const result = resultRef ? await resultStore.read(resultRef.id) : execResponse?.result;
+          if (signal.aborted) return;
+          const budgeted = fitResultToBudget(result, this.getToolResultBudget());
+          this.aiMessages.push(AIProvider.toolResultMessage(call, budgeted.value));
           executedThisTurn += 1;
           executedToolCalls.set(callSignature, { status: 'success' });
+          if (budgeted.truncated) {
+            this.appendChatLine(
+              'system',
+              `Result of ${toolName} truncated for the model: ${budgeted.sentChars} of ${budgeted.originalChars} characters sent`
+            );
+          }
 
           this.trace.push({
             ts: new Date().toISOString(),
             type: 'ai_tool_result',
             tool: toolName,
             args,
-            result
+            ...(resultRef ? { resultRef } : { result }),
+            ...(budgeted.truncated
+              ? { truncated: { originalChars: budgeted.originalChars, sentChars: budgeted.sentChars } }
+              : {}),
+            ...(execResponse?.navigatedTo ? { navigatedTo: execResponse.navigatedTo } : {})
+          });
+          this.recordHistory({
+            tool: toolName,
+            frameId: toolDef?.frameId ?? 0,
+            source: 'ai',
+            input: requestedArgs,
+            normalizedInput: normalizedArgs,
+            result: resultRef ? null : result,
+            resultRef,
+            elapsedMs: Math.round(performance.now() - callStart)
           });
         } catch (error) {
-          const line = `${toolName}(${JSON.stringify(args)}) => ERROR: ${error.message}`;
-          toolResultLines.push(line);
+          if (signal.aborted) return;
+          this.aiMessages.push(AIProvider.toolResultMessage(call, error.message, true));
           executedToolCalls.set(callSignature, { status: 'error' });
           this.trace.push({
             ts: new Date().toISOString(),
-            type: 'ai_tool_error',
+            type: error.stopReason ? `ai_tool_${error.stopReason}` : 'ai_tool_error',
             tool: toolName,
             args,
             error: error.message
           });
+          this.recordHistory({
+            tool: toolName,
+            frameId: toolDef?.frameId ?? 0,
+            source: 'ai',
+            input: requestedArgs,
+            normalizedInput: normalizedArgs,
+            error: error.message,
+            elapsedMs: Math.round(performance.now() - callStart)
+          });
         }
       }
 
@@ -1001,16 +2441,613 @@ class SidePanelApp {
         continue;
       }
 
-      const toolSummary =
-        `Tool call results:\n${toolResultLines.join('\n')}\n\n` +
-        'Continue the task. Do not repeat a tool call with identical arguments if it already succeeded.';
-      this.aiMessages.push({ role: 'user', content: toolSummary });
       this.appendChatLine('system', 'Tool results sent back to AI.');
     }
 
     this.appendChatLine('system', 'Stopped after max AI turns to avoid loops.');
   }
 
+  async loadToolCalls() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TOOL_CALLS' });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      if (response.tabId !== this.toolCallsTabId) {
+        this.selectedToolCallId = null;
+      }
+      this.toolCallsTabId = response.tabId;
+      this.toolCalls = Array.isArray(response.calls) ? response.calls : [];
+    } catch (error) {
+      console.debug('[Sidebar] Failed to load tool calls:', error?.message || error);
+      this.toolCalls = [];
+    }
+    this.renderToolCalls();
+  }
+
+  /**
+   * Merge a live call report for the active tab (the same call arrives on start and end).
+   */
+  handleToolCall(message) {
+    if (message.tabId !== this.toolCallsTabId || !message.call) return;
+
+    const index = this.toolCalls.findIndex((entry) => (
+      entry.id === message.call.id && entry.frameId === message.call.frameId
+    ));
+    if (index === -1) {
+      this.toolCalls.push(message.call);
+    } else {
+      this.toolCalls[index] = message.call;
+    }
+    this.renderToolCalls();
+  }
+
+  async clearToolCalls() {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_TOOL_CALLS' }).catch(() => {});
+    this.toolCalls = [];
+    this.selectedToolCallId = null;
+    this.renderToolCalls();
+  }
+
+  renderToolCalls() {
+    const caller = this.dom.callsCallerFilter.value;
+    const status = this.dom.callsStatusFilter.value;
+    const visible = this.toolCalls
+      .filter((call) => (!caller || call.caller === caller) && (!status || call.status === status))
+      .slice()
+      .reverse();
+
+    this.dom.callsCount.textContent = String(this.toolCalls.length);
+    this.dom.callsList.innerHTML = '';
+
+    if (visible.length === 0) {
+      this.appendEmptyGroupMessage(this.dom.callsList, 'No tool calls observed on this tab');
+    }
+
+    for (const call of visible) {
+      const key = `${call.frameId}:${call.id}`;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tool-item';
+      button.classList.toggle('active', this.selectedToolCallId === key);
+
+      const name = document.createElement('div');
+      name.className = 'tool-item-name';
+      name.textContent = call.tool;
+
+      const desc = document.createElement('div');
+      desc.className = 'tool-item-desc';
+      desc.textContent = JSON.stringify(call.input ?? {});
+
+      const meta = document.createElement('div');
+      meta.className = 'tool-item-meta';
+      meta.classList.toggle('error', call.status === 'error');
+      const duration = typeof call.durationMs === 'number' ? ` • ${call.durationMs}ms` : '';
+      meta.textContent =
+        `${new Date(call.ts).toLocaleTimeString()} • ${call.caller} • ${call.kind} • ${call.status}${duration}`;
+
+      button.appendChild(name);
+      button.appendChild(desc);
+      button.appendChild(meta);
+
+      button.addEventListener('click', () => {
+        this.selectedToolCallId = key;
+        this.renderToolCalls();
+      });
+
+      this.dom.callsList.appendChild(button);
+    }
+
+    const selected = this.toolCalls.find((call) => `${call.frameId}:${call.id}` === this.selectedToolCallId);
+    if (!selected) {
+      this.selectedToolCallId = null;
+      this.dom.callsDetailTitle.textContent = 'Select a call';
+      this.dom.callsDetail.textContent = '';
+      return;
+    }
+
+    this.dom.callsDetailTitle.textContent = selected.tool;
+    this.dom.callsDetail.textContent = JSON.stringify({
+      ts: selected.ts,
+      url: selected.url,
+      frameId: selected.frameId,
+      caller: selected.caller,
+      kind: selected.kind,
+      status: selected.status,
+      durationMs: selected.durationMs,
+      input: selected.input,
+      output: selected.output,
+      error: selected.error,
+      note: selected.note
+    }, null, 2);
+  }
+
+  async sendMockMessage(type, extra = {}) {
+    // Mocks live in the top frame, next to the origin they are saved for.
+    const response = await chrome.runtime.sendMessage({ type, frameId: 0, ...extra });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    return response?.result || {};
+  }
+
+  async loadMockTools() {
+    try {
+      this.mockTools = await mockToolStore.list(this.getCurrentOrigin());
+    } catch (error) {
+      this.mockTools = [];
+      this.showStatus(`Failed to load mock tools: ${error.message}`, 'error', 4000);
+    }
+
+    try {
+      const { registered } = await this.sendMockMessage('LIST_MOCK_TOOLS');
+      this.registeredMockNames = Array.isArray(registered) ? registered : [];
+    } catch {
+      this.registeredMockNames = [];
+    }
+
+    const selected = this.mockTools.find((mock) => mock.id === this.selectedMockId) || null;
+    this.selectMockTool(selected, { keepEditor: Boolean(selected) || this.dom.mockName.value !== '' });
+  }
+
+  renderMockList() {
+    this.dom.mockCount.textContent = String(this.mockTools.length);
+    this.dom.mockList.innerHTML = '';
+
+    if (this.mockTools.length === 0) {
+      this.appendEmptyGroupMessage(this.dom.mockList, 'No mock tools for this origin');
+      return;
+    }
+
+    for (const mock of this.mockTools) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tool-item';
+      button.classList.toggle('active', mock.id === this.selectedMockId);
+
+      const name = document.createElement('div');
+      name.className = 'tool-item-name';
+      name.textContent = mock.name;
+
+      const desc = document.createElement('div');
+      desc.className = 'tool-item-desc';
+      desc.textContent = mock.description || 'No description';
+
+      const meta = document.createElement('div');
+      meta.className = 'tool-item-meta';
+      meta.textContent = [
+        this.registeredMockNames.includes(mock.name) ? 'Registered on page' : 'Not registered',
+        mock.responseType === 'js' ? 'JavaScript' : 'JSON template',
+        mock.autoRegister ? 'auto-register' : 'manual'
+      ].join(' • ');
+
+      button.appendChild(name);
+      button.appendChild(desc);
+      button.appendChild(meta);
+      button.addEventListener('click', () => this.selectMockTool(mock));
+
+      this.dom.mockList.appendChild(button);
+    }
+  }
+
+  selectMockTool(mock, options = {}) {
+    this.selectedMockId = mock?.id || null;
+
+    if (!options.keepEditor) {
+      this.dom.mockEditorTitle.textContent = mock ? mock.name : 'New mock tool';
+      this.dom.mockName.value = mock?.name || '';
+      this.dom.mockDescription.value = mock?.description || '';
+      this.dom.mockInputSchema.value = JSON.stringify(
+        mock?.inputSchema ?? { type: 'object', properties: {}, required: [] },
+        null,
+        2
+      );
+      this.dom.mockResponseType.value = mock?.responseType || 'json';
+      this.dom.mockResponse.value = mock?.response ?? '{\n  "ok": true,\n  "echo": "{{input}}"\n}';
+      this.dom.mockAutoRegister.checked = mock ? mock.autoRegister : true;
+    }
+
+    this.dom.mockDeleteBtn.disabled = !mock;
+    this.dom.mockUnregisterBtn.disabled = !mock || !this.registeredMockNames.includes(mock.name);
+    this.renderMockResponseHint();
+    this.renderMockList();
+  }
+
+  renderMockResponseHint() {
+    this.dom.mockResponseHint.textContent = this.dom.mockResponseType.value === 'js'
+      ? 'Function body run in the page with `input` and `client`; return the result (may be a promise). Pages whose CSP blocks eval need a JSON template.'
+      : 'JSON with {{input.path}} placeholders. A quoted placeholder ("{{input.count}}") keeps the value\'s type; inside text it is inlined.';
+  }
+
+  readMockEditor() {
+    let inputSchema;
+    try {
+      inputSchema = JSON.parse(this.dom.mockInputSchema.value || '{}');
+    } catch (error) {
+      throw new Error(`Invalid input schema JSON: ${error.message}`);
+    }
+    if (!inputSchema || typeof inputSchema !== 'object' || Array.isArray(inputSchema)) {
+      throw new Error('Input schema must be a JSON object');
+    }
+
+    return {
+      id: this.selectedMockId || undefined,
+      name: this.dom.mockName.value,
+      description: this.dom.mockDescription.value,
+      inputSchema,
+      responseType: this.dom.mockResponseType.value,
+      response: this.dom.mockResponse.value,
+      autoRegister: this.dom.mockAutoRegister.checked
+    };
+  }
+
+  async saveMockTool() {
+    let saved;
+    try {
+      const origin = this.getCurrentOrigin();
+      const previous = this.mockTools.find((mock) => mock.id === this.selectedMockId);
+      saved = await mockToolStore.save(origin, this.readMockEditor());
+
+      // A rename leaves the old registration behind otherwise.
+      if (previous && previous.name !== saved.name && this.registeredMockNames.includes(previous.name)) {
+        await this.sendMockMessage('UNREGISTER_MOCK_TOOL', { name: previous.name }).catch(() => {});
+      }
+    } catch (error) {
+      this.showStatus(error.message, 'error', 4000);
+      return;
+    }
+
+    this.selectedMockId = saved.id;
+    try {
+      await this.sendMockMessage('REGISTER_MOCK_TOOL', { mock: saved });
+      this.showStatus(`Mock tool "${saved.name}" registered on the page`, 'success', 2500);
+    } catch (error) {
+      this.showStatus(`Saved, but registration failed: ${error.message}`, 'warning', 5000);
+    }
+
+    this.dom.mockEditorTitle.textContent = saved.name;
+    await this.loadMockTools();
+  }
+
+  async unregisterMockTool() {
+    const mock = this.mockTools.find((entry) => entry.id === this.selectedMockId);
+    if (!mock) return;
+
+    try {
+      await this.sendMockMessage('UNREGISTER_MOCK_TOOL', { name: mock.name });
+      this.showStatus(`Mock tool "${mock.name}" unregistered`, 'success', 2000);
+    } catch (error) {
+      this.showStatus(`Unregister failed: ${error.message}`, 'error', 4000);
+    }
+    await this.loadMockTools();
+  }
+
+  async deleteMockTool() {
+    const mock = this.mockTools.find((entry) => entry.id === this.selectedMockId);
+    if (!mock) return;
+    if (!window.confirm(`Delete mock tool "${mock.name}"?`)) return;
+
+    if (this.registeredMockNames.includes(mock.name)) {
+      await this.sendMockMessage('UNREGISTER_MOCK_TOOL', { name: mock.name }).catch(() => {});
+    }
+    await mockToolStore.remove(this.getCurrentOrigin(), mock.id);
+    this.selectMockTool(null);
+    await this.loadMockTools();
+    this.showStatus(`Deleted mock tool "${mock.name}"`, 'success', 2000);
+  }
+
+  async sendContextMessage(type, extra = {}) {
+    const response = await chrome.runtime.sendMessage({ type, frameId: this.contextFrameId, ...extra });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    return response?.result || {};
+  }
+
+  renderContextFrameOptions() {
+    const frames = this.frames.length > 0 ? this.frames : [{ frameId: 0 }];
+    this.fillSelectOptions(
+      this.dom.contextFrameSelect,
+      frames.map((frame) => ({
+        value: String(frame.frameId),
+        label: frame.frameId === 0 ? 'Top frame' : `Frame ${frame.frameId} • ${frame.origin || frame.url}`
+      })),
+      String(this.contextFrameId)
+    );
+    this.contextFrameId = Number(this.dom.contextFrameSelect.value) || 0;
+  }
+
+  async loadModelContext() {
+    this.renderContextFrameOptions();
+    try {
+      const result = await this.sendContextMessage('GET_MODEL_CONTEXT');
+      this.modelContext = result.context ?? null;
+    } catch (error) {
+      this.modelContext = null;
+      this.dom.contextStatus.textContent = `Could not read the page context: ${error.message}`;
+      this.renderModelContextEditor(false);
+      return;
+    }
+
+    const toolCount = Array.isArray(this.modelContext?.tools) ? this.modelContext.tools.length : 0;
+    this.dom.contextStatus.textContent = this.modelContext
+      ? `provideContext() bundle with ${toolCount} tool${toolCount === 1 ? '' : 's'}. Edits keep each tool's execute callback by name.`
+      : 'No provideContext() bundle captured in this frame. Pages that provided context before the inspector loaded need a reload.';
+    this.renderModelContextEditor(false);
+  }
+
+  renderModelContextEditor(showStatus = true) {
+    this.dom.contextEditor.value = this.modelContext
+      ? JSON.stringify(this.modelContext, null, 2)
+      : JSON.stringify({ tools: [] }, null, 2);
+    if (showStatus) {
+      this.showStatus('Reverted context edits', 'info', 1500);
+    }
+  }
+
+  async provideModelContext() {
+    let bundle;
+    try {
+      bundle = JSON.parse(this.dom.contextEditor.value || '{}');
+    } catch (error) {
+      this.showStatus(`Invalid context JSON: ${error.message}`, 'error', 3500);
+      return;
+    }
+
+    try {
+      const { before, after } = await this.sendContextMessage('PROVIDE_MODEL_CONTEXT', { bundle });
+      this.applyModelContextChange('Provided context', 'context_provided', before, after);
+      this.showStatus('Context provided to the page', 'success', 2000);
+    } catch (error) {
+      this.showStatus(`provideContext() failed: ${error.message}`, 'error', 4000);
+    }
+  }
+
+  async clearModelContext() {
+    if (!window.confirm('Clear the page\'s provided context? Its tools will be unregistered.')) return;
+
+    try {
+      const { before, after } = await this.sendContextMessage('CLEAR_MODEL_CONTEXT');
+      this.applyModelContextChange('Cleared context', 'context_cleared', before, after);
+      this.showStatus('Context cleared', 'success', 2000);
+    } catch (error) {
+      this.showStatus(`clearContext() failed: ${error.message}`, 'error', 4000);
+    }
+  }
+
+  applyModelContextChange(title, traceType, before, after) {
+    const changes = diffJson(before ?? null, after ?? null);
+    this.trace.push({
+      ts: new Date().toISOString(),
+      type: traceType,
+      frameId: this.contextFrameId,
+      changes
+    });
+
+    this.modelContext = after ?? null;
+    this.renderModelContextEditor(false);
+
+    this.dom.contextDiffCard.hidden = false;
+    this.dom.contextDiffTitle.textContent = title;
+    this.dom.contextDiffSummary.textContent = changes.length === 0
+      ? 'No differences between the previous and new bundle.'
+      : `${changes.length} change${changes.length === 1 ? '' : 's'} from the previous bundle`;
+    this.dom.contextDiffList.innerHTML = '';
+    for (const change of changes) {
+      const item = document.createElement('li');
+      item.className = `diff-${change.op}`;
+      item.textContent = describeJsonChange(change);
+      this.dom.contextDiffList.appendChild(item);
+    }
+  }
+
+  recordHistory(entry) {
+    historyStore.add({ ...entry, url: this.currentUrl }).catch((error) => {
+      console.debug('[Sidebar] Failed to record history entry:', error?.message || error);
+    });
+  }
+
+  fillSelectOptions(select, options, selectedValue) {
+    select.innerHTML = '';
+    for (const { value, label } of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    select.value = options.some((entry) => entry.value === selectedValue) ? selectedValue : options[0]?.value || '';
+  }
+
+  async renderHistory() {
+    try {
+      const currentOrigin = this.getCurrentOrigin();
+      const origins = await historyStore.listOrigins();
+      if (!origins.includes(currentOrigin)) {
+        origins.unshift(currentOrigin);
+      }
+
+      const previousOrigin = this.dom.historyOriginFilter.options.length > 0
+        ? this.dom.historyOriginFilter.value
+        : currentOrigin;
+      this.fillSelectOptions(
+        this.dom.historyOriginFilter,
+        [
+          { value: '', label: 'All origins' },
+          ...origins.map((origin) => ({
+            value: origin,
+            label: origin === currentOrigin ? `${origin} (current)` : origin
+          }))
+        ],
+        previousOrigin
+      );
+
+      const origin = this.dom.historyOriginFilter.value;
+      const scoped = await historyStore.list({ origin });
+      const toolNames = [...new Set(scoped.map((entry) => entry.tool))].sort();
+      this.fillSelectOptions(
+        this.dom.historyToolFilter,
+        [{ value: '', label: 'All tools' }, ...toolNames.map((name) => ({ value: name, label: name }))],
+        this.dom.historyToolFilter.value
+      );
+
+      this.historyEntries = await historyStore.list({
+        origin,
+        tool: this.dom.historyToolFilter.value,
+        status: this.dom.historyStatusFilter.value,
+        query: this.dom.historySearchInput.value
+      });
+    } catch (error) {
+      this.historyEntries = [];
+      this.showStatus(`Failed to load history: ${error.message}`, 'error', 4000);
+    }
+
+    this.renderHistoryList();
+  }
+
+  renderHistoryList() {
+    this.dom.historyList.innerHTML = '';
+
+    if (this.historyEntries.length === 0) {
+      this.appendEmptyGroupMessage(this.dom.historyList, 'No executions recorded');
+    }
+
+    for (const entry of this.historyEntries) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tool-item';
+      button.classList.toggle('active', this.selectedHistoryEntry?.id === entry.id);
+
+      const name = document.createElement('div');
+      name.className = 'tool-item-name';
+      name.textContent = entry.tool;
+
+      const desc = document.createElement('div');
+      desc.className = 'tool-item-desc';
+      desc.textContent = JSON.stringify(entry.input ?? {});
+
+      const meta = document.createElement('div');
+      meta.className = 'tool-item-meta';
+      meta.classList.toggle('error', entry.status === 'error');
+      const elapsed = entry.elapsedMs !== null ? ` • ${entry.elapsedMs}ms` : '';
+      meta.textContent =
+        `${new Date(entry.ts).toLocaleString()} • ${entry.source === 'ai' ? 'AI' : 'Manual'} • ` +
+        `${entry.status === 'error' ? 'Error' : 'Success'}${elapsed} • ${entry.origin}`;
+
+      button.appendChild(name);
+      button.appendChild(desc);
+      button.appendChild(meta);
+
+      button.addEventListener('click', () => {
+        this.selectHistoryEntry(entry);
+        this.renderHistoryList();
+      });
+
+      this.dom.historyList.appendChild(button);
+    }
+
+    if (this.selectedHistoryEntry && !this.historyEntries.some((entry) => entry.id === this.selectedHistoryEntry.id)) {
+      this.selectHistoryEntry(null);
+    }
+  }
+
+  async selectHistoryEntry(entry) {
+    this.selectedHistoryEntry = entry;
+    this.dom.historyViewResultBtn.hidden = true;
+
+    if (!entry) {
+      this.dom.historyDetailTitle.textContent = 'Select an entry';
+      this.dom.historyDetail.textContent = '';
+      this.dom.historyRerunBtn.disabled = true;
+      this.dom.historyRerunNormalizedBtn.hidden = true;
+      return;
+    }
+
+    this.dom.historyDetailTitle.textContent = entry.tool;
+    this.dom.historyRerunBtn.disabled = false;
+    this.dom.historyRerunNormalizedBtn.hidden = !entry.normalizedInput;
+
+    // The result store keeps only the newest results, so older references may point at nothing
+    let resultExpired = false;
+    if (entry.resultRef) {
+      try {
+        resultExpired = !await resultStore.getMeta(entry.resultRef.id);
+      } catch {
+        resultExpired = true;
+      }
+      if (this.selectedHistoryEntry !== entry) return;
+      this.dom.historyViewResultBtn.hidden = resultExpired;
+    }
+
+    this.dom.historyDetail.textContent = JSON.stringify({
+      ts: entry.ts,
+      url: entry.url,
+      frameId: entry.frameId ?? 0,
+      source: entry.source,
+      status: entry.status,
+      elapsedMs: entry.elapsedMs,
+      input: entry.input,
+      normalizedInput: entry.normalizedInput,
+      result: resultExpired ? 'result expired' : entry.result,
+      ...(entry.resultPreview ? { resultPreview: entry.resultPreview } : {}),
+      ...(entry.resultRef ? { resultRef: entry.resultRef } : {}),
+      error: entry.error
+    }, null, 2);
+  }
+
+  viewHistoryResult() {
+    const entry = this.selectedHistoryEntry;
+    if (!entry?.resultRef) return;
+    this.showStoredResult(entry.resultRef);
+    this.setActiveTab('tools');
+  }
+
+  /**
+   * Load an entry's recorded input (or with `{ normalized: true }` the normalized
+   * input recorded next to it) into the editor of the same tool in the same frame.
+   * Nothing runs until the user executes it; entries from another origin need confirmation.
+   */
+  async rerunHistoryEntry(options = {}) {
+    const entry = this.selectedHistoryEntry;
+    if (!entry) return;
+
+    const currentOrigin = this.getCurrentOrigin();
+    if (entry.origin !== currentOrigin && !window.confirm(
+      `This entry was recorded on ${entry.origin}, but the current page is ${currentOrigin}. ` +
+      `Load its arguments into "${entry.tool}" here anyway?`
+    )) {
+      return;
+    }
+
+    const frameId = entry.frameId ?? 0;
+    const tool = this.tools.find((candidate) => candidate.name === entry.tool && (candidate.frameId ?? 0) === frameId);
+    if (!tool) {
+      const where = frameId === 0 ? 'the top frame' : `frame ${frameId}`;
+      this.showStatus(`Tool "${entry.tool}" is not available in ${where} of the current page.`, 'warning', 4000);
+      return;
+    }
+
+    this.selectTool(tool);
+    this.renderToolLists();
+    this.setToolInputArgs((options.normalized && entry.normalizedInput) || entry.input || {});
+    this.setActiveTab('tools');
+    this.showStatus('Arguments loaded. Review them, then execute.', 'info', 3000);
+  }
+
+  async clearHistory() {
+    const origin = this.dom.historyOriginFilter.value;
+    const scope = origin || 'all origins';
+    if (!window.confirm(`Clear execution history for ${scope}?`)) return;
+
+    try {
+      await historyStore.clear(origin);
+      this.selectHistoryEntry(null);
+      await this.renderHistory();
+      this.showStatus('History cleared', 'success', 2000);
+    } catch (error) {
+      this.showStatus(`Failed to clear history: ${error.message}`, 'error', 4000);
+    }
+  }
+
   async copyTrace() {
     try {
       await navigator.clipboard.writeText(JSON.stringify(this.trace, null, 2));
@@ -1024,6 +3061,13 @@ class SidePanelApp {
     this.dom.settingTheme.value = settingsManager.get('general.theme') || 'system';
     this.dom.settingAutoOpen.checked = !!settingsManager.get('general.autoOpen');
     this.dom.settingNotifications.checked = !!settingsManager.get('general.notifications');
+    this.dom.settingToolTimeout.value = String(Math.round(this.getToolTimeoutMs() / 1000));
+    const resultLimits = settingsManager.get('general.resultLimits') || {};
+    this.dom.settingResultMaxDepth.value = String(resultLimits.maxDepth ?? '');
+    this.dom.settingResultMaxEntries.value = String(resultLimits.maxEntries ?? '');
+    this.dom.settingResultMaxStringLength.value = String(resultLimits.maxStringLength ?? '');
+    this.dom.settingToolApproval.value = this.getToolApprovalPolicy();
+    this.dom.settingToolResultBudget.value = String(this.getToolResultBudget());
     this.applyThemeSetting(this.dom.settingTheme.value);
   }
 
@@ -1032,6 +3076,24 @@ class SidePanelApp {
       await settingsManager.set('general.theme', this.dom.settingTheme.value);
       await settingsManager.set('general.autoOpen', this.dom.settingAutoOpen.checked);
       await settingsManager.set('general.notifications', this.dom.settingNotifications.checked);
+      const timeoutSeconds = Number(this.dom.settingToolTimeout.value);
+      await settingsManager.set(
+        'general.toolTimeoutMs',
+        Number.isFinite(timeoutSeconds) && timeoutSeconds > 0 ? Math.round(timeoutSeconds * 1000) : 0
+      );
+      const readLimit = (input, fallback) => {
+        const value = Math.floor(Number(input.value));
+        return Number.isFinite(value) && value > 0 ? value : fallback;
+      };
+      const resultLimits = settingsManager.get('general.resultLimits') || {};
+      await settingsManager.set('general.resultLimits', {
+        maxDepth: readLimit(this.dom.settingResultMaxDepth, resultLimits.maxDepth),
+        maxEntries: readLimit(this.dom.settingResultMaxEntries, resultLimits.maxEntries),
+        maxStringLength: readLimit(this.dom.settingResultMaxStringLength, resultLimits.maxStringLength)
+      });
+      await settingsManager.set('ai.toolApproval', this.dom.settingToolApproval.value);
+      const resultBudget = Math.floor(Number(this.dom.settingToolResultBudget.value));
+      await settingsManager.set('ai.toolResultBudget', Number.isFinite(resultBudget) && resultBudget > 0 ? resultBudget : 0);
       this.applyThemeSetting(this.dom.settingTheme.value);
       this.showStatus('General settings saved', 'success', 2200);
     } catch (error) {
@@ -1101,6 +3163,7 @@ class SidePanelApp {
     this.dom.providerApiKey.value = provider.config?.apiKey || '';
     this.dom.providerServerUrl.value = provider.config?.serverUrl || 'http://127.0.0.1:11434';
     this.dom.providerOrganization.value = provider.config?.organization || '';
+    this.dom.providerStrictSchemas.checked = provider.config?.strictSchemas === true;
     this.dom.providerTemperature.value = String(provider.config?.temperature ?? 0.7);
     this.dom.providerMaxTokens.value = String(provider.config?.maxTokens ?? 2048);
     this.dom.providerSystemPrompt.value = provider.config?.systemPrompt || '';
@@ -1124,6 +3187,7 @@ class SidePanelApp {
     this.setFieldVisible(this.dom.providerApiKey, !isOllama);
     this.setFieldVisible(this.dom.providerServerUrl, isOllama);
     this.setFieldVisible(this.dom.providerOrganization, isOpenAI);
+    this.dom.providerStrictSchemasRow.classList.toggle('hidden', !isOpenAI);
   }
 
   setFieldVisible(element, visible) {
@@ -1207,12 +3271,15 @@ class SidePanelApp {
       config.serverUrl = this.dom.providerServerUrl.value || 'http://127.0.0.1:11434';
       delete config.apiKey;
       delete config.organization;
+      delete config.strictSchemas;
     } else {
       config.apiKey = this.dom.providerApiKey.value.trim();
       if (providerId === 'openai') {
         config.organization = this.dom.providerOrganization.value.trim();
+        config.strictSchemas = this.dom.providerStrictSchemas.checked;
       } else {
         delete config.organization;
+        delete config.strictSchemas;
       }
       delete config.serverUrl;
     }
@@ -1314,6 +3381,7 @@ class SidePanelApp {
 
       this.renderProviderCards();
       this.updateAIProviderLabel();
+      this.renderToolSchemaNotes();
       this.showProviderStatus(
         setAsDefault ? 'Provider saved and set as default.' : 'Provider saved successfully.',
         'success'
@@ -1345,6 +3413,7 @@ class SidePanelApp {
       await aiManager.loadProvider();
       this.renderProviderCards();
       this.updateAIProviderLabel();
+      this.renderToolSchemaNotes();
       this.showProviderStatus('Provider disabled.', 'warning');
       this.showStatus('Provider disabled', 'warning', 2200);
     } catch (error) {